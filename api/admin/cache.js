@@ -0,0 +1,3 @@
+import { createCacheAdminHandler } from '../../lib/http.js';
+
+export default createCacheAdminHandler();
@@ -0,0 +1,3 @@
+import { createCorrectionsAdminHandler } from '../../lib/http.js';
+
+export default createCorrectionsAdminHandler();
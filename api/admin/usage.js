@@ -0,0 +1,3 @@
+import { createUsageAdminHandler } from '../../lib/http.js';
+
+export default createUsageAdminHandler();
@@ -0,0 +1,3 @@
+import { createAskHandler } from '../lib/http.js';
+
+export default createAskHandler();
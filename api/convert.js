@@ -0,0 +1,3 @@
+import { createConvertHandler } from '../lib/http.js';
+
+export default createConvertHandler();
@@ -0,0 +1,3 @@
+import { createCorrectionsHandler } from '../lib/http.js';
+
+export default createCorrectionsHandler();
@@ -0,0 +1,3 @@
+import { createExportHandler } from '../lib/http.js';
+
+export default createExportHandler();
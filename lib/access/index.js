@@ -0,0 +1,156 @@
+import { timingSafeEqual } from 'crypto';
+import { RateLimitError, RequestError } from '../errors.js';
+import { createRateLimiter, parseRateLimit } from './rate-limit.js';
+
+export { createRateLimiter, parseRateLimit };
+export { createFileUsageLog, createMemoryUsageLog, createUsageLogFromEnv, estimateCost, summarizeUsage } from './usage.js';
+
+// Who may spend the model key (/api/analyze and /api/ask), and how often.
+// With ACCESS_TOKENS set, callers must send one as `Authorization: Bearer <token>`; without it the
+// routes stay open. Anonymous callers are limited per IP address, callers with a token per token.
+// Wrong tokens are counted per IP address too, so tokens can't be guessed at speed.
+// Publishing a restaurant page always needs a token, and has its own limit per token on top.
+
+export const DEFAULT_IP_LIMIT = '60/hour';
+export const DEFAULT_PUBLISH_LIMIT = '20/day';
+export const DEFAULT_FAILED_TOKEN_LIMIT = '10/hour';
+
+// "kiosk:s3cret,alice:t0ken" -> [{ name: 'kiosk', token: 's3cret' }, ...]. A token without a name is
+// called key-1, key-2, ... by position; the name, never the token, is what usage records show.
+export function parseAccessTokens(value = '') {
+  return String(value)
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map((entry, index) => {
+      const separator = entry.indexOf(':');
+      return separator > 0
+        ? { name: entry.slice(0, separator).trim(), token: entry.slice(separator + 1).trim() }
+        : { name: `key-${index + 1}`, token: entry };
+    });
+}
+
+function sameSecret(supplied, expected) {
+  const a = Buffer.from(supplied);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function bearerToken(req) {
+  const match = String(req.headers?.authorization || '').match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : null;
+}
+
+// The caller's address. X-Forwarded-For is only believed behind a proxy that sets it (like Vercel's),
+// since any client can send one.
+export function clientIp(req, { trustProxy = false } = {}) {
+  const forwarded = trustProxy && String(req.headers?.['x-forwarded-for'] || '').split(',')[0].trim();
+  return forwarded || req.socket?.remoteAddress || req.ip || 'unknown';
+}
+
+// Throw 429 for a used-up rate limit `{ allowed, limit, remaining, resetAt }`; returns it without `allowed` otherwise
+function assertAllowed({ allowed, ...rateLimit }, message = 'Too many requests') {
+  if (!allowed) {
+    const retryAfter = Math.max(Math.ceil((rateLimit.resetAt - Date.now()) / 1000), 1);
+    throw new RateLimitError(`${message}. Try again in ${formatWait(retryAfter)}.`, retryAfter);
+  }
+  return rateLimit;
+}
+
+// Count one request from `id` against `limiter`, throwing 429 once its limit is used up
+function hitLimit(limiter, id) {
+  return assertAllowed(limiter.hit(id));
+}
+
+// `tokens` as parsed by parseAccessTokens; `ipLimit`, `tokenLimit`, `publishLimit` and `failedTokenLimit`
+// (wrong tokens per IP address) as parsed by parseRateLimit (null for none)
+export function createAccessControl({
+  tokens = [],
+  ipLimit = null,
+  tokenLimit = null,
+  publishLimit = null,
+  failedTokenLimit = null,
+  trustProxy = false
+} = {}) {
+  const ipLimiter = ipLimit && createRateLimiter(ipLimit);
+  const tokenLimiter = tokenLimit && createRateLimiter(tokenLimit);
+  const publishLimiter = publishLimit && createRateLimiter(publishLimit);
+  const failedTokenLimiter = failedTokenLimit && createRateLimiter(failedTokenLimit);
+
+  return {
+    // For the usage admin endpoint
+    settings: {
+      tokensRequired: tokens.length > 0,
+      tokenNames: tokens.map(entry => entry.name),
+      ipLimit: ipLimit?.label ?? 'off',
+      tokenLimit: tokenLimit?.label ?? 'off',
+      publishLimit: publishLimit?.label ?? 'off',
+      failedTokenLimit: failedTokenLimit?.label ?? 'off'
+    },
+
+    clientIp: req => clientIp(req, { trustProxy }),
+
+    // Identify the caller as { key, ip }, where key is their token's name (null when anonymous).
+    // Throws 401 for a missing or wrong token when tokens are required, and 429 for any token from an
+    // address that sent too many wrong ones, even a right one, so a lucky guess doesn't get through.
+    identify(req) {
+      const ip = clientIp(req, { trustProxy });
+      let key = null;
+
+      if (tokens.length > 0) {
+        const supplied = bearerToken(req);
+        if (!supplied) {
+          throw new RequestError('This server needs an access token. Send it as "Authorization: Bearer <token>".', 401);
+        }
+        if (failedTokenLimiter) {
+          assertAllowed(failedTokenLimiter.peek(`ip:${ip}`), 'Too many invalid access tokens');
+        }
+        const match = tokens.find(entry => sameSecret(supplied, entry.token));
+        if (!match) {
+          failedTokenLimiter?.hit(`ip:${ip}`);
+          throw new RequestError('Invalid access token', 401);
+        }
+        key = match.name;
+      }
+      return { key, ip };
+    },
+
+    // Count one request against the caller's limit. Returns { limit, remaining, resetAt }, or null when
+    // unlimited; throws 429 once the limit is used up.
+    count({ key, ip }) {
+      const limiter = key ? tokenLimiter : ipLimiter;
+      if (!limiter) return null;
+      return hitLimit(limiter, key ? `key:${key}` : `ip:${ip}`);
+    },
+
+    // Check an identified caller may publish a restaurant page, and count it against the publishing limit.
+    // Throws 403 without a token (so publishing is off while ACCESS_TOKENS is unset) and 429 over the limit.
+    // Returns the rate limit as count() does.
+    countPublish({ key }) {
+      if (!key) {
+        throw new RequestError('Publishing needs an access token. Set ACCESS_TOKENS on the server and send one as "Authorization: Bearer <token>".', 403);
+      }
+      return publishLimiter ? hitLimit(publishLimiter, `key:${key}`) : null;
+    }
+  };
+}
+
+function formatWait(seconds) {
+  if (seconds < 90) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return minutes < 90 ? `${minutes} minutes` : `${Math.ceil(minutes / 60)} hours`;
+}
+
+// Build the access control from ACCESS_TOKENS, RATE_LIMIT_IP, RATE_LIMIT_TOKEN, RATE_LIMIT_PUBLISH,
+// RATE_LIMIT_FAILED_TOKENS and TRUST_PROXY
+export function createAccessControlFromEnv(env = process.env) {
+  return createAccessControl({
+    tokens: parseAccessTokens(env.ACCESS_TOKENS),
+    ipLimit: parseRateLimit(env.RATE_LIMIT_IP || DEFAULT_IP_LIMIT, 'RATE_LIMIT_IP'),
+    tokenLimit: parseRateLimit(env.RATE_LIMIT_TOKEN || 'off', 'RATE_LIMIT_TOKEN'),
+    publishLimit: parseRateLimit(env.RATE_LIMIT_PUBLISH || DEFAULT_PUBLISH_LIMIT, 'RATE_LIMIT_PUBLISH'),
+    failedTokenLimit: parseRateLimit(env.RATE_LIMIT_FAILED_TOKENS || DEFAULT_FAILED_TOKEN_LIMIT, 'RATE_LIMIT_FAILED_TOKENS'),
+    // Vercel always sits behind its own proxy
+    trustProxy: Boolean(env.VERCEL) || env.TRUST_PROXY === 'true'
+  });
+}
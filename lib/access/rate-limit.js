@@ -0,0 +1,67 @@
+// Request counting for rate limits. Counts live in memory, so they are per server process
+// (and per function instance on Vercel).
+
+const WINDOWS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Callers tracked at once; expired windows are dropped when the map fills up
+const MAX_TRACKED = 10000;
+
+// "30/hour" -> { limit: 30, windowMs: 3600000, label: '30/hour' }; "off" -> null.
+// `name` is the setting being parsed, for the error message.
+export function parseRateLimit(value, name) {
+  if (value === 'off') return null;
+
+  const match = String(value).trim().match(/^(\d+)\s*\/\s*(minute|hour|day)$/);
+  if (!match || Number(match[1]) < 1) {
+    throw new Error(`Invalid ${name} "${value}". Use a count per minute, hour or day like "30/hour", or "off".`);
+  }
+  return { limit: Number(match[1]), windowMs: WINDOWS[match[2]], label: `${match[1]}/${match[2]}` };
+}
+
+// Fixed-window counter: each caller gets `limit` requests per window, starting with their first request
+export function createRateLimiter({ limit, windowMs }, { now = Date.now } = {}) {
+  const windows = new Map();
+
+  function prune(time) {
+    for (const [id, window] of windows) {
+      if (window.resetAt <= time) windows.delete(id);
+    }
+  }
+
+  return {
+    // Where `id` stands without counting anything; returns { allowed, limit, remaining, resetAt }, where
+    // allowed is false once its requests are used up
+    peek(id) {
+      const time = now();
+      const window = windows.get(id);
+      if (!window || window.resetAt <= time) {
+        return { allowed: true, limit, remaining: limit, resetAt: time + windowMs };
+      }
+      return { allowed: window.count < limit, limit, remaining: Math.max(limit - window.count, 0), resetAt: window.resetAt };
+    },
+
+    // Count one request from `id`; returns { allowed, limit, remaining, resetAt }
+    hit(id) {
+      const time = now();
+      let window = windows.get(id);
+
+      if (!window || window.resetAt <= time) {
+        if (windows.size >= MAX_TRACKED) prune(time);
+        window = { count: 0, resetAt: time + windowMs };
+        windows.set(id, window);
+      }
+
+      window.count++;
+      return {
+        allowed: window.count <= limit,
+        limit,
+        remaining: Math.max(limit - window.count, 0),
+        resetAt: window.resetAt
+      };
+    }
+  };
+}
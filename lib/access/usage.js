@@ -0,0 +1,139 @@
+import { appendFile, mkdir, readFile } from 'fs/promises';
+import { dirname } from 'path';
+import { fileURLToPath } from 'url';
+
+// Usage accounting: one record per request to a model route, whether it was served, refused or failed.
+// A record is { at, route, key, ip, status, provider, model, cached, inputTokens, outputTokens, modelCalls, costUsd }
+// where `key` is the access token's name (null for anonymous callers).
+// Stores expose append(record) and list({ since }) -> records, oldest first.
+
+export const DEFAULT_USAGE_FILE = fileURLToPath(new URL('../../.cache/usage.jsonl', import.meta.url));
+
+// The memory store keeps the most recent records only
+const MAX_MEMORY_RECORDS = 10000;
+
+// USD per million tokens. Models not listed (and the mock provider) record a null cost.
+export const MODEL_PRICES = {
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-sonnet-4-5': { input: 3, output: 15 },
+  'claude-sonnet-4-0': { input: 3, output: 15 },
+  'claude-haiku-4-5': { input: 1, output: 5 }
+};
+
+// Estimated cost of a request in USD (to 1/100 of a cent), or null when the model's price is unknown.
+// Dated model ids ("claude-opus-4-5-20251101") are priced as their alias.
+export function estimateCost({ model, inputTokens = 0, outputTokens = 0 }, prices = MODEL_PRICES) {
+  const alias = Object.keys(prices).find(name => model === name || model?.startsWith(`${name}-`));
+  const price = prices[alias];
+  if (!price) return model === 'mock' || model === 'glossary' ? 0 : null;
+  return roundCost((inputTokens * price.input + outputTokens * price.output) / 1e6);
+}
+
+const roundCost = usd => Math.round(usd * 1e4) / 1e4;
+
+const since = (records, from) => (from ? records.filter(record => record.at >= from) : records);
+
+export function createMemoryUsageLog() {
+  const records = [];
+
+  return {
+    name: 'memory',
+
+    async append(record) {
+      records.push(record);
+      if (records.length > MAX_MEMORY_RECORDS) records.splice(0, records.length - MAX_MEMORY_RECORDS);
+    },
+
+    async list({ since: from = null } = {}) {
+      return since(records, from);
+    }
+  };
+}
+
+// One JSON line per record, appended to `file`
+export function createFileUsageLog({ file }) {
+  return {
+    name: 'file',
+
+    async append(record) {
+      await mkdir(dirname(file), { recursive: true });
+      await appendFile(file, `${JSON.stringify(record)}\n`);
+    },
+
+    async list({ since: from = null } = {}) {
+      let text;
+      try {
+        text = await readFile(file, 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const records = text.split('\n').filter(Boolean).flatMap(line => {
+        try {
+          return [JSON.parse(line)];
+        } catch (error) {
+          // A line cut short by a crash; skip it
+          return [];
+        }
+      });
+      return since(records, from);
+    }
+  };
+}
+
+// Pick the usage store from USAGE_LOG ("file", "memory" or "off") and USAGE_LOG_FILE
+export function createUsageLogFromEnv(env = process.env) {
+  const kind = env.USAGE_LOG || 'file';
+
+  switch (kind) {
+    case 'off':
+      return null;
+    case 'memory':
+      return createMemoryUsageLog();
+    case 'file':
+      // Vercel functions can only write to /tmp
+      return createFileUsageLog({
+        file: env.USAGE_LOG_FILE || (env.VERCEL ? '/tmp/usage.jsonl' : DEFAULT_USAGE_FILE)
+      });
+    default:
+      throw new Error(`Unknown USAGE_LOG "${kind}". Use "file", "memory" or "off".`);
+  }
+}
+
+function emptyTotals() {
+  return { requests: 0, refused: 0, failed: 0, cached: 0, modelCalls: 0, inputTokens: 0, outputTokens: 0, costUsd: 0, unpriced: 0 };
+}
+
+function addRecord(totals, record) {
+  totals.requests++;
+  if (record.status === 401 || record.status === 429) totals.refused++;
+  else if (record.status >= 400) totals.failed++;
+  if (record.cached) totals.cached++;
+  totals.modelCalls += record.modelCalls || 0;
+  totals.inputTokens += record.inputTokens || 0;
+  totals.outputTokens += record.outputTokens || 0;
+  // Unknown prices count as nothing; `unpriced` says how many requests that was
+  if (record.costUsd === null && record.modelCalls > 0) totals.unpriced++;
+  totals.costUsd = roundCost(totals.costUsd + (record.costUsd || 0));
+}
+
+// Totals overall, per caller (token name, or "ip:<address>" for anonymous callers), per route and per day
+export function summarizeUsage(records) {
+  const summary = { totals: emptyTotals(), byKey: {}, byRoute: {}, byDay: {} };
+
+  for (const record of records) {
+    const groups = [
+      [summary.byKey, record.key ?? `ip:${record.ip}`],
+      [summary.byRoute, record.route],
+      [summary.byDay, record.at.slice(0, 10)]
+    ];
+    addRecord(summary.totals, record);
+    for (const [group, name] of groups) {
+      group[name] = group[name] || emptyTotals();
+      addRecord(group[name], record);
+    }
+  }
+
+  return summary;
+}
@@ -0,0 +1,45 @@
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { PROMPT_VERSION } from '../prompt.js';
+import { createFileStore, createMemoryStore } from './stores.js';
+
+export { createFileStore, createMemoryStore };
+
+export const DEFAULT_CACHE_DIR = fileURLToPath(new URL('../../.cache/analyses', import.meta.url));
+
+// Hash of everything that changes what the model returns: the image bytes, the request options
+// that reach the prompt, the prompt version and the model. Price conversion and image lookups run
+// after the model, so they are not part of the key and are redone on every cache hit.
+// Text pages (mediaType "text/plain") hash their menu text in place of the image.
+export function analysisCacheKey({ image, text, mediaType, language }, provider) {
+  return createHash('sha256')
+    .update(JSON.stringify({
+      promptVersion: PROMPT_VERSION,
+      provider: provider.name,
+      model: provider.model,
+      mediaType,
+      language
+    }))
+    .update('\n')
+    .update(text ?? image)
+    .digest('hex');
+}
+
+// Pick the analysis store from ANALYSIS_CACHE ("file", "memory" or "off") and ANALYSIS_CACHE_DIR
+export function createAnalysisStoreFromEnv(env = process.env) {
+  const kind = env.ANALYSIS_CACHE || 'file';
+
+  switch (kind) {
+    case 'off':
+      return null;
+    case 'memory':
+      return createMemoryStore();
+    case 'file':
+      // Vercel functions can only write to /tmp
+      return createFileStore({
+        dir: env.ANALYSIS_CACHE_DIR || (env.VERCEL ? '/tmp/analyses' : DEFAULT_CACHE_DIR)
+      });
+    default:
+      throw new Error(`Unknown ANALYSIS_CACHE "${kind}". Use "file", "memory" or "off".`);
+  }
+}
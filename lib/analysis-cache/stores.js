@@ -0,0 +1,111 @@
+import { mkdir, readdir, readFile, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { RequestError } from '../errors.js';
+
+// Analysis cache stores. Every store exposes:
+//   get(key) -> entry | null, set(key, entry), list() -> entry summaries (no message), delete(key) -> boolean
+// An entry is { key, createdAt, provider, model, language, promptVersion, itemCount, message }.
+
+function summarize({ message, ...summary }) {
+  return summary;
+}
+
+// Keys are hex digests; anything else could escape the cache directory
+function assertKey(key) {
+  if (!/^[a-f0-9]{64}$/.test(key)) {
+    throw new RequestError(`Invalid analysis cache key: ${key}`);
+  }
+}
+
+// Replies the memory store keeps; a long-running server would otherwise keep every menu it ever read
+export const MAX_MEMORY_ENTRIES = 500;
+
+// Least recently used entries are dropped past `maxEntries`
+export function createMemoryStore({ maxEntries = MAX_MEMORY_ENTRIES } = {}) {
+  // Entries are stored serialized so callers can't mutate what's cached. A Map keeps insertion order, so
+  // re-inserting an entry on every use leaves the least recently used first.
+  const entries = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(key) {
+      const stored = entries.get(key);
+      if (!stored) return null;
+      entries.delete(key);
+      entries.set(key, stored);
+      return JSON.parse(stored);
+    },
+
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, JSON.stringify(entry));
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    async list() {
+      return [...entries.values()].map(stored => summarize(JSON.parse(stored)));
+    },
+
+    async delete(key) {
+      return entries.delete(key);
+    }
+  };
+}
+
+// One JSON file per analysis in `dir`
+export function createFileStore({ dir }) {
+  const fileFor = key => {
+    assertKey(key);
+    return join(dir, `${key}.json`);
+  };
+
+  async function get(key) {
+    try {
+      return JSON.parse(await readFile(fileFor(key), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`Ignoring unreadable cached analysis ${key}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  return {
+    name: 'file',
+    get,
+
+    async set(key, entry) {
+      await mkdir(dir, { recursive: true });
+      await writeFile(fileFor(key), JSON.stringify(entry));
+    },
+
+    async list() {
+      let files;
+      try {
+        files = await readdir(dir);
+      } catch (error) {
+        return [];
+      }
+
+      const entries = await Promise.all(
+        files
+          .filter(file => file.endsWith('.json'))
+          .map(file => get(file.slice(0, -'.json'.length)))
+      );
+      return entries.filter(Boolean).map(summarize);
+    },
+
+    async delete(key) {
+      try {
+        await unlink(fileFor(key));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    }
+  };
+}
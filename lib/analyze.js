@@ -0,0 +1,675 @@
+import { PROMPT_VERSION, SYSTEM_PROMPT, buildAnalyzePrompt } from './prompt.js';
+import { addDishImages } from './images/index.js';
+import { RequestError, withUsage } from './errors.js';
+import { DEFAULT_LANGUAGE, findLanguage } from './languages.js';
+import { normalizeDietaryTags } from './dietary.js';
+import { DEFAULT_HOME_CURRENCY, convertPrice, normalizePrice } from './currency.js';
+import { isHeadingItem, mapSectionItems, toSections } from './sections.js';
+import { createSectionStreamParser } from './stream-parser.js';
+import { MAX_PAGES, createDishIndex, mergePageSections, sectionKey } from './pages.js';
+import { CONVERTIBLE_MEDIA_TYPES, convertPages } from './convert.js';
+import { MAX_TEXT_LENGTH, htmlToText, normalizeMenuText } from './menu-text.js';
+import { analysisCacheKey } from './analysis-cache/index.js';
+import { applyGlossary, matchGlossaryText } from './glossary/match.js';
+import { buildAnalysisResponse, contractItem, itemProblems } from './contract.js';
+import { MIN_CROP_SIZE, ROTATIONS, mapBoxToSource } from './image-transform.js';
+import { applyCorrection, findCorrection } from './corrections/index.js';
+
+export const VALID_MEDIA_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Media type used inside the pipeline for pages analyzed from text instead of an image
+export const TEXT_MEDIA_TYPE = 'text/plain';
+
+// Check the edits the app made to a photo (see image-transform.js); returns the transform or null when there is none
+function validateTransform(transform, label) {
+  if (transform === undefined || transform === null) return null;
+
+  const { orientation = 1, rotate = 0, crop = null } = transform;
+  if (!Number.isInteger(orientation) || orientation < 1 || orientation > 8) {
+    throw new RequestError(`${label}transform.orientation must be an EXIF orientation from 1 to 8`);
+  }
+  if (!ROTATIONS.includes(rotate)) {
+    throw new RequestError(`${label}transform.rotate must be 0, 90, 180 or 270`);
+  }
+  if (crop !== null) {
+    const values = [crop.x, crop.y, crop.width, crop.height];
+    const inRange = values.every(value => typeof value === 'number' && value >= 0 && value <= 1);
+    // A little slack for rounding in the browser
+    if (!inRange || crop.width < MIN_CROP_SIZE || crop.height < MIN_CROP_SIZE ||
+      crop.x + crop.width > 1.001 || crop.y + crop.height > 1.001) {
+      throw new RequestError(`${label}transform.crop must be { x, y, width, height } fractions inside the photo`);
+    }
+  }
+
+  return { orientation, rotate, crop: crop && { x: crop.x, y: crop.y, width: crop.width, height: crop.height } };
+}
+
+// Check one page; `label` prefixes errors for multi-page requests ("Page 2: ").
+// A page is a file ({ image, mediaType, transform? }), pasted menu text ({ text }) or a saved menu web page ({ html }).
+// Text pages come back as { mediaType: 'text/plain', text } with any HTML already stripped.
+function validatePage(page, label = '') {
+  const { image, mediaType, text, html, transform } = page || {};
+
+  if (text !== undefined || html !== undefined) {
+    const isHtml = html !== undefined;
+    if (typeof (isHtml ? html : text) !== 'string') {
+      throw new RequestError(`${label}${isHtml ? 'html' : 'text'} must be a string`);
+    }
+
+    const menuText = isHtml ? htmlToText(html) : normalizeMenuText(text);
+    if (!menuText) {
+      throw new RequestError(`${label}The menu text is empty`);
+    }
+    if (menuText.length > MAX_TEXT_LENGTH) {
+      throw new RequestError(`${label}The menu text is too long (at most ${MAX_TEXT_LENGTH} characters)`);
+    }
+    return { mediaType: TEXT_MEDIA_TYPE, text: menuText };
+  }
+
+  if (!image || !mediaType) {
+    throw new RequestError(`${label}Missing required fields: image and mediaType (or text)`);
+  }
+
+  if (!VALID_MEDIA_TYPES.includes(mediaType) && !CONVERTIBLE_MEDIA_TYPES.includes(mediaType)) {
+    throw new RequestError(`${label}Invalid media type. Must be JPEG, PNG, GIF, WebP, HEIC or PDF`);
+  }
+
+  const pageTransform = validateTransform(transform, label);
+  if (pageTransform && !VALID_MEDIA_TYPES.includes(mediaType)) {
+    throw new RequestError(`${label}A transform can only describe a JPEG, PNG, GIF or WebP photo`);
+  }
+
+  return pageTransform ? { image, mediaType, transform: pageTransform } : { image, mediaType };
+}
+
+// Check the request body and return the fields the pipeline needs.
+// A menu is either one upload ({ image, mediaType }), one text ({ text } or { html }),
+// or several pages of either kind ({ pages: [...] }). `offline: true` skips the model and only matches
+// glossary terms, so it needs text pages.
+export function validateAnalyzeRequest(body) {
+  const {
+    image,
+    mediaType,
+    text,
+    html,
+    transform,
+    pages,
+    offline = false,
+    language = DEFAULT_LANGUAGE,
+    homeCurrency = DEFAULT_HOME_CURRENCY
+  } = body || {};
+
+  let menuPages;
+  if (pages === undefined) {
+    menuPages = [validatePage({ image, mediaType, text, html, transform })];
+  } else {
+    if (!Array.isArray(pages) || pages.length === 0) {
+      throw new RequestError('pages must be a non-empty array of { image, mediaType }');
+    }
+    if (pages.length > MAX_PAGES) {
+      throw new RequestError(`Too many pages. A menu can have at most ${MAX_PAGES}`);
+    }
+    menuPages = pages.map((page, index) => validatePage(page, `Page ${index + 1}: `));
+  }
+
+  if (offline && menuPages.some(page => page.mediaType !== TEXT_MEDIA_TYPE)) {
+    throw new RequestError('Offline mode only reads menu text (text or html), not photos');
+  }
+
+  const targetLanguage = findLanguage(language);
+  if (!targetLanguage) {
+    throw new RequestError(`Unsupported language: ${language}`);
+  }
+
+  if (typeof homeCurrency !== 'string' || !/^[A-Za-z]{3}$/.test(homeCurrency)) {
+    throw new RequestError('Invalid homeCurrency. Use a 3-letter ISO 4217 code like USD');
+  }
+
+  return {
+    pages: menuPages,
+    offline: Boolean(offline),
+    language: targetLanguage.code,
+    homeCurrency: homeCurrency.toUpperCase()
+  };
+}
+
+// Pull the JSON array out of the model's reply; returns null when none can be parsed
+export function parseModelJson(responseText) {
+  const jsonMatch = responseText.match(/\[[\s\S]*\]/);
+  if (!jsonMatch) return null;
+
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch (parseError) {
+    console.log('Could not parse the model reply as JSON:', parseError.message);
+    return null;
+  }
+}
+
+// Clamp a model-returned bounding box to the 0-1 range; returns null when unusable.
+// Some replies use 0-100 percentages despite the prompt, so those are scaled down.
+export function normalizeBox(box) {
+  if (!box || typeof box !== 'object') return null;
+
+  let values = [box.x, box.y, box.width, box.height].map(Number);
+  if (values.some(value => !Number.isFinite(value) || value < 0)) return null;
+  if (values.some(value => value > 1)) {
+    values = values.map(value => value / 100);
+  }
+
+  const clamp = value => Math.min(Math.max(value, 0), 1);
+  const x = clamp(values[0]);
+  const y = clamp(values[1]);
+  const width = clamp(Math.min(values[2], 1 - x));
+  const height = clamp(Math.min(values[3], 1 - y));
+
+  return { x, y, width, height };
+}
+
+// Words some replies use instead of a number
+const CONFIDENCE_WORDS = { high: 0.9, medium: 0.6, low: 0.3 };
+
+// The model's confidence as a number from 0 to 1 (to two decimals), or null when it gave none.
+// Stray 0-100 percentages are scaled down.
+export function normalizeConfidence(value) {
+  let number = typeof value === 'string'
+    ? CONFIDENCE_WORDS[value.trim().toLowerCase()] ?? parseFloat(value)
+    : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) || number < 0 || number > 100) return null;
+  if (number > 1) number /= 100;
+  return Math.round(number * 100) / 100;
+}
+
+// Normalize the dish's box and price (dropping them when unusable), its confidence and dietary tags.
+// Prices get a `converted` amount in the home currency when the rates table covers both currencies.
+// Dishes in the glossary get its curated definition and tags (see applyGlossary); every dish gets a `source`.
+// User corrections come last and win: they can rename the dish (keeping the model's reading in
+// `readAs`, before the glossary is consulted), replace its definition, or drop it (null is returned).
+// The name and definition always come back as trimmed strings, whatever type the model wrote.
+// On an edited photo, `sourceBox` places the box on the photo as uploaded (see image-transform.js).
+function normalizeDish(dish, { homeCurrency, exchangeRates, glossary, corrections, language, transform = null }) {
+  const { name, definition, confidence, rawText, box, allergens, diet, price, ...rest } = dish;
+  const normalized = {
+    ...rest,
+    name: String(name ?? '').trim(),
+    definition: typeof definition === 'string' ? definition.trim() : '',
+    ...normalizeDietaryTags({ allergens, diet })
+  };
+
+  const correction = findCorrection(normalized.name, corrections, language);
+  if (correction?.wrong) return null;
+  if (correction?.name) {
+    normalized.readAs = normalized.name;
+    normalized.name = correction.name;
+  }
+
+  const normalizedConfidence = normalizeConfidence(confidence);
+  if (normalizedConfidence !== null) normalized.confidence = normalizedConfidence;
+
+  if (typeof rawText === 'string' && rawText.trim()) {
+    normalized.rawText = rawText.replace(/\s+/g, ' ').trim();
+  }
+
+  const normalizedBox = normalizeBox(box);
+  if (normalizedBox) {
+    normalized.box = normalizedBox;
+    if (transform) normalized.sourceBox = mapBoxToSource(normalizedBox, transform);
+  }
+
+  const normalizedPrice = normalizePrice(price);
+  if (normalizedPrice) {
+    const converted = convertPrice(normalizedPrice, homeCurrency, exchangeRates);
+    normalized.price = converted ? { ...normalizedPrice, converted } : normalizedPrice;
+  }
+
+  return applyCorrection(applyGlossary(normalized, glossary, language), correction);
+}
+
+// Build the model request for one menu page (a photo, or text for text pages)
+function buildRequest({ image, mediaType, text, language }, maxTokens) {
+  if (mediaType === TEXT_MEDIA_TYPE) {
+    return {
+      system: SYSTEM_PROMPT,
+      maxTokens,
+      content: [
+        {
+          type: 'text',
+          text: `MENU TEXT:\n${text}`
+        },
+        {
+          type: 'text',
+          text: buildAnalyzePrompt({ language, fromText: true })
+        }
+      ]
+    };
+  }
+
+  return {
+    system: SYSTEM_PROMPT,
+    maxTokens,
+    content: [
+      {
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: mediaType,
+          data: image
+        }
+      },
+      {
+        type: 'text',
+        text: buildAnalyzePrompt({ language })
+      }
+    ]
+  };
+}
+
+// Offline mode: answer a text page from the glossary alone, shaped like a model message
+function glossaryReply({ text, language }, glossary) {
+  if (!glossary) {
+    throw new RequestError('Offline mode needs the glossary, which is unavailable (check GLOSSARY_FILE)', 503);
+  }
+
+  return {
+    id: 'glossary',
+    type: 'message',
+    role: 'assistant',
+    model: 'glossary',
+    content: [{ type: 'text', text: JSON.stringify(matchGlossaryText(text, glossary, language)) }],
+    stop_reason: 'end_turn',
+    stop_sequence: null,
+    usage: { input_tokens: 0, output_tokens: 0 }
+  };
+}
+
+// A reply that reads in part (cut off, or broken JSON) is retried once; a cut-off one gets twice the
+// tokens, up to this many
+const MAX_ATTEMPTS = 2;
+const MAX_RETRY_TOKENS = 8192;
+
+// Why a page's dishes may be incomplete, by warning code (see contract.js)
+const PAGE_WARNINGS = {
+  truncated: 'The reply was cut off, so the last dishes on this page may be missing',
+  repaired: 'The reply was malformed; only the dishes that could be read are shown',
+  'page-failed': 'No dishes could be read from this page'
+};
+
+// The reply's text, across all its text blocks
+function replyText(message) {
+  return message.content.filter(block => block.type === 'text').map(block => block.text).join('');
+}
+
+function countItems(sections) {
+  return sections.reduce((count, section) => count + section.items.length, 0);
+}
+
+// Ask the model about one menu page and return its raw message (or the glossary's answer when `offline`).
+// With `onText`, the reply is streamed and each text delta is passed along as it arrives.
+async function requestAnalysis(input, { provider, maxTokens, offline = false, glossary = null, onText = null }) {
+  let message;
+
+  if (offline) {
+    message = glossaryReply(input, glossary);
+    if (onText) onText(replyText(message));
+    return message;
+  }
+
+  const request = buildRequest(input, maxTokens);
+  if (onText && provider.streamMessage) {
+    message = await provider.streamMessage(request, onText);
+  } else {
+    message = await provider.createMessage(request);
+    // Providers without streaming still feed the stream, just in one piece
+    if (onText) onText(replyText(message));
+  }
+
+  console.log(`Successfully received response from model (${message.stop_reason})`);
+  // The whole reply is only worth logging when debugging the prompt
+  if (process.env.DEBUG_MODEL_OUTPUT === 'true') {
+    console.log('Raw model response:', JSON.stringify(replyText(message), null, 2));
+  }
+
+  return message;
+}
+
+// Read the sections out of a reply. `sections` is null when the reply holds no parsable JSON array,
+// and `truncated` is true when that is because the model ran out of tokens.
+function readReply(message) {
+  const sections = toSections(parseModelJson(replyText(message)));
+  return { sections, truncated: !sections && message.stop_reason === 'max_tokens' };
+}
+
+// Recover the complete dishes from a reply that doesn't parse as a whole: the stream parser reads
+// every dish object that closed, under the section it was listed in
+export function salvageSections(text) {
+  const sections = [];
+  const parser = createSectionStreamParser({
+    onSection: section => sections.push({ ...section, items: [] }),
+    onItem: (item, sectionIndex) => sections[sectionIndex].items.push(item)
+  });
+  parser.push(text);
+  return toSections(sections) || [];
+}
+
+// Ask about one page until the reply reads in full, retrying once (see MAX_ATTEMPTS). When no attempt
+// does, the dishes salvaged from the best one are kept under a warning code.
+// `onAttempt` (streaming) returns a fresh text callback for each attempt.
+// Every model reply is added to `replies`, for usage.
+// Returns { sections, message, warning }: `message` is the reply that read in full (null if none).
+async function requestPageSections(pageInput, { provider, maxTokens, offline, glossary, replies, onAttempt = null }) {
+  let salvaged = null;
+  let tokens = maxTokens;
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    const message = structuredClone(await requestAnalysis(pageInput, {
+      provider,
+      maxTokens: tokens,
+      offline,
+      glossary,
+      onText: onAttempt ? onAttempt() : null
+    }));
+    if (!offline) replies.push(message);
+
+    const { sections, truncated } = readReply(message);
+    if (sections) return { sections, message, warning: null };
+
+    const recovered = salvageSections(replyText(message));
+    if (!salvaged || countItems(recovered) > countItems(salvaged.sections)) {
+      salvaged = { sections: recovered, warning: truncated ? 'truncated' : 'repaired' };
+    }
+    console.log(`Model reply ${truncated ? `was cut off at ${tokens} tokens` : 'is not valid JSON'} (attempt ${attempt} of ${MAX_ATTEMPTS})`);
+
+    if (truncated) {
+      if (tokens >= MAX_RETRY_TOKENS) break;
+      tokens = Math.min(tokens * 2, MAX_RETRY_TOKENS);
+    }
+  }
+
+  const warning = countItems(salvaged.sections) > 0 ? salvaged.warning : 'page-failed';
+  return { sections: salvaged.sections, message: null, warning };
+}
+
+// Look up a stored model reply for this photo and options
+async function findCachedReply(input, { provider, cache }) {
+  const cacheKey = cache ? analysisCacheKey(input, provider) : null;
+  const cachedEntry = cacheKey ? await cache.get(cacheKey) : null;
+
+  if (cachedEntry) {
+    console.log(`Serving cached analysis ${cacheKey.slice(0, 12)}`);
+  }
+
+  return { cacheKey, cachedEntry };
+}
+
+// Store a model reply that read in full; a partial one should hit the model again next time
+async function storeReply(cache, cacheKey, message, parsed, { provider, language }) {
+  try {
+    await cache.set(cacheKey, {
+      key: cacheKey,
+      createdAt: new Date().toISOString(),
+      provider: provider.name,
+      model: provider.model,
+      language,
+      promptVersion: PROMPT_VERSION,
+      itemCount: countItems(parsed),
+      message
+    });
+  } catch (error) {
+    console.log('Could not store analysis in cache:', error.message);
+  }
+}
+
+// Read one page into normalized sections: from the cached reply when there is one, else from the model
+// (storing the reply when it read in full). Returns { sections, warning } as requestPageSections.
+async function loadPage(pageInput, { cacheKey, cachedEntry }, {
+  provider, cache, maxTokens, offline, glossary, corrections, language, homeCurrency, exchangeRates, replies, onAttempt = null
+}) {
+  let result;
+  if (cachedEntry) {
+    const message = structuredClone(cachedEntry.message);
+    if (onAttempt) onAttempt()(replyText(message));
+    result = { sections: readReply(message).sections || [], warning: null };
+  } else {
+    result = await requestPageSections(pageInput, { provider, maxTokens, offline, glossary, replies, onAttempt });
+    if (cacheKey && result.message) {
+      await storeReply(cache, cacheKey, result.message, result.sections, { provider, language });
+    }
+  }
+
+  return {
+    ...result,
+    sections: result.sections.map(section => ({
+      ...section,
+      items: section.items
+        .map(dish => normalizeDish(dish, {
+          homeCurrency, exchangeRates, glossary, corrections, language, transform: pageInput.transform
+        }))
+        .filter(Boolean)
+    }))
+  };
+}
+
+// A menu where no page could be read is an error, not an empty menu
+function assertSomePageRead(results) {
+  if (results.every(result => result.warning === 'page-failed')) {
+    throw new RequestError('The menu could not be read: the model returned no usable dishes. Please try again.', 502);
+  }
+}
+
+// Each page's warning as { code, page, message }
+function pageWarnings(results) {
+  return results.flatMap((result, page) => result.warning
+    ? [{ code: result.warning, page, message: PAGE_WARNINGS[result.warning] }]
+    : []);
+}
+
+// Tokens spent on this request over every model call, retries included (cached pages cost nothing)
+export function combineUsage(replies) {
+  return {
+    inputTokens: replies.reduce((total, message) => total + (message.usage?.input_tokens || 0), 0),
+    outputTokens: replies.reduce((total, message) => total + (message.usage?.output_tokens || 0), 0),
+    modelCalls: replies.length
+  };
+}
+
+// A page's entry in the response: where it came from, and the edits the app made to its photo
+function pageState(cached, cacheKey, page) {
+  return page.transform ? { cached, cacheKey, transform: page.transform } : { cached, cacheKey };
+}
+
+// Accept both { pages } and the single-page shapes, then convert PDF and HEIC uploads into JPEG pages
+function menuPages({ pages, image, mediaType, text, transform }) {
+  const requested = pages || [text !== undefined ? { mediaType: TEXT_MEDIA_TYPE, text } : { image, mediaType, transform }];
+  return convertPages(requested, { maxPages: MAX_PAGES });
+}
+
+// Run a menu's photos through the model and enrich the dishes with images.
+// Pages are analyzed in parallel and merged (see mergePageSections); every item records its `page`.
+// A reply that is cut off or malformed is retried once, then salvaged with a warning (see requestPageSections).
+// With a `cache` store, each page's reply that read in full is stored by content hash and reused for the same
+// photo and options; normalization, price conversion and image lookup still run on every request.
+// Returns the response contract (see contract.js): `cached` is true when every page came from the cache and
+// `pages` lists each page's { cached, cacheKey, transform? }.
+// With `input.offline`, text pages are matched against the `glossary` instead of sent to the model, uncached.
+// `corrections` are the user corrections that apply to this caller (see corrections/index.js), applied to every dish.
+export async function analyzeMenu(input, {
+  provider,
+  cache = null,
+  images = null,
+  exchangeRates = null,
+  glossary = null,
+  corrections = [],
+  maxTokens = 2048
+}) {
+  const { language = DEFAULT_LANGUAGE, homeCurrency = DEFAULT_HOME_CURRENCY, offline = false } = input;
+  const pages = await menuPages(input);
+  const pageCache = offline ? null : cache;
+  console.log(`Processing analysis request (${offline ? 'glossary' : provider.name}, ${language}, ${pages.length} page${pages.length === 1 ? '' : 's'})...`);
+
+  // Every model reply, so a failed request still reports the tokens it spent
+  const replies = [];
+  let results;
+  try {
+    results = await Promise.all(pages.map(async page => {
+      const pageInput = { ...page, language };
+      const lookup = await findCachedReply(pageInput, { provider, cache: pageCache });
+      const result = await loadPage(pageInput, lookup, {
+        provider, cache: pageCache, maxTokens, offline, glossary, corrections, language, homeCurrency, exchangeRates, replies
+      });
+      return { ...result, cached: Boolean(lookup.cachedEntry), cacheKey: lookup.cacheKey };
+    }));
+    assertSomePageRead(results);
+  } catch (error) {
+    throw withUsage(error, combineUsage(replies));
+  }
+
+  let sections = mergePageSections(results.map(result => result.sections));
+  if (images) {
+    sections = await mapSectionItems(sections, dishes => addDishImages(dishes, images));
+  }
+
+  return buildAnalysisResponse(sections, {
+    warnings: pageWarnings(results),
+    usage: combineUsage(replies),
+    cached: results.every(result => result.cached),
+    cacheKey: results.length === 1 ? results[0].cacheKey : null,
+    pages: results.map(({ cached, cacheKey }, index) => pageState(cached, cacheKey, pages[index]))
+  });
+}
+
+// Streaming variant of analyzeMenu. Pages are read one after another; `emit` is called with one event object per step:
+//   { type: 'start', cached, cacheKey, pages }                    pages lists each page's { cached, cacheKey, transform? }
+//   { type: 'section', index, name, translation, description }  as each new section heading is read
+//   { type: 'item', index, sectionIndex, item }                  as each dish is parsed (a contract item, no image yet)
+//   { type: 'image', index, imageUrl, image }                    when that dish's image lookup finds one
+//   { type: 'done', ...response }                                the complete result, the same contract analyzeMenu returns
+// `index` is the dish's position in the order it was read. A heading seen again on a later page (or in a retried
+// reply) reuses its section, and a dish already sent is not sent again. The `done` result is authoritative: it
+// drops dishes a salvaged reply left incomplete. Errors are thrown to the caller, with the usage spent (see withUsage).
+export async function streamMenuAnalysis(input, {
+  provider,
+  cache = null,
+  images = null,
+  exchangeRates = null,
+  glossary = null,
+  corrections = [],
+  maxTokens = 2048
+}, emit) {
+  const { language = DEFAULT_LANGUAGE, homeCurrency = DEFAULT_HOME_CURRENCY, offline = false } = input;
+  const pages = (await menuPages(input)).map(page => ({ ...page, language }));
+  const pageCache = offline ? null : cache;
+  console.log(`Processing streaming analysis request (${offline ? 'glossary' : provider.name}, ${language}, ${pages.length} page${pages.length === 1 ? '' : 's'})...`);
+
+  const lookups = await Promise.all(pages.map(page => findCachedReply(page, { provider, cache: pageCache })));
+  const cached = lookups.every(lookup => lookup.cachedEntry);
+  const cacheKey = lookups.length === 1 ? lookups[0].cacheKey : null;
+  const pageStates = lookups.map((lookup, index) => pageState(Boolean(lookup.cachedEntry), lookup.cacheKey, pages[index]));
+  emit({ type: 'start', cached, cacheKey, pages: pageStates });
+
+  // Each dish's image is looked up once: as soon as the dish streams in, and reused for the final result
+  const imageLookups = new Map();
+  const lookupImage = name => {
+    if (!imageLookups.has(name)) imageLookups.set(name, images.resolve(name));
+    return imageLookups.get(name);
+  };
+  const pendingImages = [];
+
+  const sectionNames = [];
+  const sectionIndexByKey = new Map();
+  const sentDishes = createDishIndex();
+  let itemCount = 0;
+
+  // A parser for one reply (each attempt at a page gets its own), emitting sections and dishes as they close
+  function createPageParser(page) {
+    // Section indices in this reply, mapped onto the merged section list
+    const pageSectionIndices = [];
+
+    return createSectionStreamParser({
+      onSection(section) {
+        const key = sectionKey(section.name);
+        if (!sectionIndexByKey.has(key)) {
+          sectionIndexByKey.set(key, sectionNames.length);
+          sectionNames.push(section.name);
+          emit({ type: 'section', index: sectionNames.length - 1, ...section });
+        }
+        pageSectionIndices.push(sectionIndexByKey.get(key));
+      },
+
+      onItem(rawItem, pageSectionIndex) {
+        if (!rawItem.name || isHeadingItem(rawItem, sectionNames.filter(Boolean))) return;
+        if (sentDishes.find(rawItem.name, page)) return;
+
+        const sectionIndex = pageSectionIndices[pageSectionIndex];
+        const dish = normalizeDish(rawItem, {
+          homeCurrency, exchangeRates, glossary, corrections, language, transform: pages[page].transform
+        });
+        // Marked wrong by a correction
+        if (!dish) return;
+        const item = contractItem({ ...dish, page }, sectionIndex);
+        if (itemProblems(item, sectionNames.length).length > 0) return;
+        sentDishes.add(rawItem.name, page);
+
+        const index = itemCount++;
+        emit({ type: 'item', index, sectionIndex, item });
+
+        if (images) {
+          pendingImages.push(lookupImage(item.name).then(found => {
+            if (!found) return;
+            const { url, ...credit } = found;
+            emit({ type: 'image', index, imageUrl: url, image: credit });
+          }, () => {}));
+        }
+      }
+    });
+  }
+
+  const replies = [];
+  const results = [];
+  try {
+    for (const [page, pageInput] of pages.entries()) {
+      results.push(await loadPage(pageInput, lookups[page], {
+        provider,
+        cache: pageCache,
+        maxTokens,
+        offline,
+        glossary,
+        corrections,
+        language,
+        homeCurrency,
+        exchangeRates,
+        replies,
+        onAttempt: () => {
+          const parser = createPageParser(page);
+          return delta => parser.push(delta);
+        }
+      }));
+    }
+    assertSomePageRead(results);
+  } catch (error) {
+    throw withUsage(error, combineUsage(replies));
+  }
+
+  await Promise.all(pendingImages);
+
+  let sections = mergePageSections(results.map(result => result.sections));
+  if (images) {
+    sections = await mapSectionItems(sections, dishes => addDishImages(dishes, {
+      resolveAll: async names => {
+        const found = await Promise.all(names.map(lookupImage));
+        await images.flush();
+        return found;
+      }
+    }));
+  }
+
+  emit({
+    type: 'done',
+    ...buildAnalysisResponse(sections, {
+      warnings: pageWarnings(results),
+      usage: combineUsage(replies),
+      cached,
+      cacheKey,
+      pages: pageStates
+    })
+  });
+}
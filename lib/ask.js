@@ -0,0 +1,153 @@
+import { buildAskPrompt } from './prompt.js';
+import { RequestError, withUsage } from './errors.js';
+import { DEFAULT_LANGUAGE, findLanguage } from './languages.js';
+import { VALID_MEDIA_TYPES, combineUsage } from './analyze.js';
+import { formatPrice, formatTags, numberedItems, sectionsProblem } from './export/formats.js';
+
+// Follow-up questions about an analyzed menu (/api/ask). The app sends the dishes it is showing,
+// optionally the photo, and the conversation so far; nothing is stored on the server.
+
+export const MAX_QUESTION_LENGTH = 1000;
+// Answers come back in the history as the server wrote them: 1024 output tokens stay well under this
+export const MAX_ANSWER_LENGTH = 8000;
+// Earlier turns sent back with each question; older ones are dropped by the app
+export const MAX_HISTORY = 20;
+// Room for MAX_PAGES dense pages
+export const MAX_SECTIONS = 100;
+export const MAX_DISHES = 500;
+
+// Dish numbers are 1-based, as on the markers; `itemIndex` is 0-based like the stream's item index
+function checkItemIndex(itemIndex, itemCount, label = '') {
+  if (itemIndex === undefined || itemIndex === null) return null;
+  if (!Number.isInteger(itemIndex) || itemIndex < 0 || itemIndex >= itemCount) {
+    throw new RequestError(`${label}itemIndex must point at one of the ${itemCount} dishes`);
+  }
+  return itemIndex;
+}
+
+// Check the request body: { question, itemIndex?, history?, sections, image?, mediaType?, language? }.
+// `history` is the earlier exchange as [{ role: 'user', content, itemIndex? }, { role: 'assistant', content }, ...].
+export function validateAskRequest(body) {
+  const { question, itemIndex, history = [], sections, image, mediaType, language = DEFAULT_LANGUAGE } = body || {};
+
+  if (typeof question !== 'string' || !question.trim()) {
+    throw new RequestError('Missing required field: question');
+  }
+  if (question.length > MAX_QUESTION_LENGTH) {
+    throw new RequestError(`The question is too long (at most ${MAX_QUESTION_LENGTH} characters)`);
+  }
+  // Every dish is checked as the exports check them, since describeMenu prints the same fields
+  const problem = sectionsProblem(sections);
+  if (problem) {
+    throw new RequestError(problem);
+  }
+  if (sections.length > MAX_SECTIONS) {
+    throw new RequestError(`Too many sections (${sections.length}). A menu can have at most ${MAX_SECTIONS}`);
+  }
+
+  const itemCount = numberedItems(sections).length;
+  if (itemCount > MAX_DISHES) {
+    throw new RequestError(`Too many dishes (${itemCount}). A menu can have at most ${MAX_DISHES}`);
+  }
+
+  if (!Array.isArray(history) || history.length > MAX_HISTORY) {
+    throw new RequestError(`history must be an array of at most ${MAX_HISTORY} messages`);
+  }
+  // Turns alternate, starting with the user and ending with an answer, so the new question comes next
+  const turns = history.map((turn, index) => {
+    const role = index % 2 === 0 ? 'user' : 'assistant';
+    if (turn?.role !== role || typeof turn.content !== 'string' || !turn.content.trim()) {
+      throw new RequestError(`history[${index}] must be a ${role} message with text content`);
+    }
+    const maxLength = role === 'user' ? MAX_QUESTION_LENGTH : MAX_ANSWER_LENGTH;
+    if (turn.content.length > maxLength) {
+      throw new RequestError(`history[${index}] is too long (at most ${maxLength} characters)`);
+    }
+    return role === 'user'
+      ? { role, content: turn.content, itemIndex: checkItemIndex(turn.itemIndex, itemCount, `history[${index}]: `) }
+      : { role, content: turn.content };
+  });
+  if (turns.length % 2 !== 0) {
+    throw new RequestError('history must end with an assistant message');
+  }
+
+  if (image !== undefined && !VALID_MEDIA_TYPES.includes(mediaType)) {
+    throw new RequestError('Invalid media type. Must be JPEG, PNG, GIF or WebP');
+  }
+
+  const targetLanguage = findLanguage(language);
+  if (!targetLanguage) {
+    throw new RequestError(`Unsupported language: ${language}`);
+  }
+
+  return {
+    question: question.trim(),
+    itemIndex: checkItemIndex(itemIndex, itemCount),
+    history: turns,
+    sections,
+    image: image ?? null,
+    mediaType: image ? mediaType : null,
+    language: targetLanguage.code
+  };
+}
+
+// The menu as the model sees it: numbered dishes under their section headings
+export function describeMenu(sections) {
+  const entries = numberedItems(sections);
+
+  return sections.map(section => {
+    const heading = section.name
+      ? `## ${section.name}${section.translation && section.translation !== section.name ? ` (${section.translation})` : ''}`
+      : '';
+    const dishes = entries.filter(entry => entry.section === section).map(({ number, item }) => {
+      const details = [
+        item.definition,
+        formatPrice(item.price),
+        formatTags([...(item.allergens || []), ...(item.diet || [])])
+      ].filter(Boolean);
+      return `${number}. ${item.name}${details.length ? ` - ${details.join(' | ')}` : ''}`;
+    });
+    return [heading, ...dishes].filter(Boolean).join('\n');
+  }).join('\n\n');
+}
+
+// A user turn, marked with the dish it asks about
+function questionText(question, itemIndex, entries) {
+  if (itemIndex === null) return question;
+  return `[About dish ${itemIndex + 1}: ${entries[itemIndex].item.name}] ${question}`;
+}
+
+// Answer a follow-up question. Returns { answer, usage }, usage as the provider reports it.
+export async function askAboutMenu(input, { provider, maxTokens = 1024 }) {
+  const { question, itemIndex, history, sections, image, mediaType, language } = input;
+  const entries = numberedItems(sections);
+
+  const messages = [...history, { role: 'user', content: question, itemIndex }].map(turn => ({
+    role: turn.role,
+    content: turn.role === 'user' ? questionText(turn.content, turn.itemIndex, entries) : turn.content
+  }));
+
+  // The photo goes with the first question, so the model can check anything the list left out
+  if (image) {
+    messages[0] = {
+      role: 'user',
+      content: [
+        { type: 'image', source: { type: 'base64', media_type: mediaType, data: image } },
+        { type: 'text', text: messages[0].content }
+      ]
+    };
+  }
+
+  console.log(`Answering menu question (${provider.name}, ${language}, ${history.length / 2} earlier turns)...`);
+  const message = await provider.createMessage({
+    system: buildAskPrompt({ language, menu: describeMenu(sections) }),
+    messages,
+    maxTokens
+  });
+
+  const answer = message.content.filter(block => block.type === 'text').map(block => block.text).join('').trim();
+  if (!answer) {
+    throw withUsage(new RequestError('The model gave no answer. Please try asking again.', 502), combineUsage([message]));
+  }
+  return { answer, usage: message.usage };
+}
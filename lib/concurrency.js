@@ -0,0 +1,25 @@
+// Limit how many async tasks run at once. Returns run(fn), which queues fn and resolves with its result.
+export function createLimiter(limit) {
+  const queue = [];
+  let active = 0;
+
+  function next() {
+    if (active >= limit || queue.length === 0) return;
+    const { fn, resolve, reject } = queue.shift();
+    active++;
+    Promise.resolve()
+      .then(fn)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        next();
+      });
+  }
+
+  return function run(fn) {
+    return new Promise((resolve, reject) => {
+      queue.push({ fn, resolve, reject });
+      next();
+    });
+  };
+}
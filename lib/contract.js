@@ -0,0 +1,165 @@
+import { ALLERGENS, CONFIDENCE_LEVELS, DIET_TAGS } from './dietary.js';
+
+// The /api/analyze response contract, shared by the server (which builds and checks it) and the app
+// (which reads nothing else). Bump CONTRACT_VERSION on any change a client could trip over.
+//
+// {
+//   version: 2,
+//   sections: [{ name, translation, description }],
+//   items: [{ name, definition, section, page, confidence?, rawText?, readAs?, box?, sourceBox?, allergens, diet, price?,
+//             imageUrl?, image?, source, glossaryTerm? }],
+//   warnings: [{ code, page, message }],
+//   usage: { inputTokens, outputTokens, modelCalls },
+//   cached, cacheKey, pages: [{ cached, cacheKey, transform? }]
+// }
+//
+// `section` is an index into `sections` and `page` a 0-based page index; items are in menu order.
+// `box` is on the photo as sent; `sourceBox` is on the photo before the app rotated or cropped it (see image-transform.js).
+// `confidence` (0-1) is how sure the model was of its reading, and `rawText` the menu line it read. `readAs` is the
+// name the model read when a user correction renamed the dish (see corrections/index.js).
+
+export const CONTRACT_VERSION = 2;
+
+// Where a definition comes from
+export const ITEM_SOURCES = ['model', 'glossary', 'correction'];
+
+// Items the model was less sure of than this are flagged as uncertain
+export const LOW_CONFIDENCE = 0.7;
+
+export function isUncertain(item) {
+  return typeof item?.confidence === 'number' && item.confidence < LOW_CONFIDENCE;
+}
+
+// Why a result may be incomplete:
+//   truncated      the reply was cut off; the dishes read before that are kept
+//   repaired       the reply wasn't valid JSON; every dish that could be read is kept
+//   page-failed    nothing could be read from a page
+//   invalid-items  dishes that broke the contract were dropped
+export const WARNING_CODES = ['truncated', 'repaired', 'page-failed', 'invalid-items'];
+
+const ALLERGEN_IDS = ALLERGENS.map(tag => tag.id);
+const DIET_IDS = DIET_TAGS.map(tag => tag.id);
+
+const isFraction = value => typeof value === 'number' && value >= 0 && value <= 1;
+const isBox = box => Boolean(box) && ['x', 'y', 'width', 'height'].every(key => isFraction(box[key]));
+const isString = value => typeof value === 'string';
+const isNullableString = value => value === null || isString(value);
+const isMoney = value => value && typeof value.amount === 'number' && Number.isFinite(value.amount) &&
+  (value.currency === null || /^[A-Z]{3}$/.test(value.currency));
+
+function checkTags(tags, vocabulary) {
+  return Array.isArray(tags) && tags.every(tag =>
+    tag && vocabulary.includes(tag.tag) && CONFIDENCE_LEVELS.includes(tag.confidence)
+  );
+}
+
+// Every way an item breaks the contract, as short descriptions (empty when it is valid)
+export function itemProblems(item, sectionCount) {
+  const problems = [];
+  if (!isString(item?.name) || !item.name.trim()) problems.push('name must be a non-empty string');
+  if (!isString(item?.definition)) problems.push('definition must be a string');
+  if (!Number.isInteger(item?.section) || item.section < 0 || item.section >= sectionCount) {
+    problems.push('section must index sections');
+  }
+  if (!Number.isInteger(item?.page) || item.page < 0) problems.push('page must be a page index');
+  if (item?.confidence !== undefined && !isFraction(item.confidence)) problems.push('confidence must be a number from 0 to 1');
+  if (item?.rawText !== undefined && !isString(item.rawText)) problems.push('rawText must be a string');
+  if (item?.readAs !== undefined && !isString(item.readAs)) problems.push('readAs must be a string');
+  if (item?.box !== undefined && !isBox(item.box)) problems.push('box must hold x, y, width and height from 0 to 1');
+  if (item?.sourceBox !== undefined && !isBox(item.sourceBox)) problems.push('sourceBox must hold x, y, width and height from 0 to 1');
+  if (!checkTags(item?.allergens, ALLERGEN_IDS)) problems.push('allergens must be known tags with a confidence');
+  if (!checkTags(item?.diet, DIET_IDS)) problems.push('diet must be known tags with a confidence');
+  if (item?.price !== undefined && !(isMoney(item.price) && (item.price.converted === undefined || isMoney(item.price.converted)))) {
+    problems.push('price must be { amount, currency }');
+  }
+  if (item?.imageUrl !== undefined && !isString(item.imageUrl)) problems.push('imageUrl must be a string');
+  if (!ITEM_SOURCES.includes(item?.source)) problems.push('source must be "model", "glossary" or "correction"');
+  return problems;
+}
+
+// A dish with only the fields the contract names, in a fixed order, under section index `section`
+export function contractItem(item, section) {
+  const picked = {
+    name: item.name,
+    definition: item.definition ?? '',
+    section,
+    page: item.page ?? 0,
+    confidence: item.confidence,
+    rawText: item.rawText,
+    readAs: item.readAs,
+    box: item.box,
+    sourceBox: item.sourceBox,
+    allergens: item.allergens,
+    diet: item.diet,
+    price: item.price,
+    imageUrl: item.imageUrl,
+    image: item.image,
+    source: item.source,
+    glossaryTerm: item.glossaryTerm
+  };
+  return Object.fromEntries(Object.entries(picked).filter(([, value]) => value !== undefined && value !== null));
+}
+
+// Build the response from merged sections. Items that break the contract are dropped with a warning,
+// so a client never has to guard against them.
+export function buildAnalysisResponse(sections, { warnings = [], usage, cached = false, cacheKey = null, pages = [] }) {
+  const items = [];
+  let invalidCount = 0;
+
+  sections.forEach((section, sectionIndex) => {
+    for (const item of section.items) {
+      const candidate = contractItem(item, sectionIndex);
+      if (itemProblems(candidate, sections.length).length === 0) {
+        items.push(candidate);
+      } else {
+        invalidCount++;
+        console.log(`Dropping invalid item "${item?.name}": ${itemProblems(candidate, sections.length).join('; ')}`);
+      }
+    }
+  });
+
+  const allWarnings = invalidCount > 0
+    ? [...warnings, { code: 'invalid-items', page: null, message: `${invalidCount} dish${invalidCount === 1 ? '' : 'es'} could not be read and ${invalidCount === 1 ? 'was' : 'were'} left out` }]
+    : warnings;
+
+  return {
+    version: CONTRACT_VERSION,
+    sections: sections.map(({ name, translation, description }) => ({
+      name: name ?? null,
+      translation: translation ?? null,
+      description: description ?? null
+    })),
+    items,
+    warnings: allWarnings,
+    usage,
+    cached,
+    cacheKey,
+    pages
+  };
+}
+
+// Check a response against the contract (the app does this before showing anything).
+// Returns the sections with their items nested, the shape the app, /api/ask and /api/export work with.
+export function readAnalysisResponse(response) {
+  if (!response || response.version !== CONTRACT_VERSION) {
+    throw new Error(`Unsupported analysis response version ${response?.version} (this app reads version ${CONTRACT_VERSION})`);
+  }
+  if (!Array.isArray(response.sections) || !Array.isArray(response.items) || !Array.isArray(response.warnings)) {
+    throw new Error('Malformed analysis response: sections, items and warnings must be arrays');
+  }
+  if (!response.sections.every(section => section && isNullableString(section.name))) {
+    throw new Error('Malformed analysis response: invalid section');
+  }
+
+  const problem = response.items.map(item => itemProblems(item, response.sections.length)).find(problems => problems.length);
+  if (problem) {
+    throw new Error(`Malformed analysis response: ${problem[0]}`);
+  }
+
+  return response.sections.map((section, sectionIndex) => ({
+    ...section,
+    items: response.items
+      .filter(item => item.section === sectionIndex)
+      .map(({ section: _section, ...item }) => item)
+  }));
+}
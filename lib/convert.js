@@ -0,0 +1,99 @@
+import { RequestError } from './errors.js';
+
+// Server-side conversion of uploads the model can't read directly: PDF menus and HEIC/HEIF photos.
+// Each PDF page becomes its own menu page. mupdf (WebAssembly) and heic-convert are loaded on first
+// use, so servers that never see these formats don't pay for them.
+
+export const CONVERTIBLE_MEDIA_TYPES = ['application/pdf', 'image/heic', 'image/heif'];
+
+// Longest side of converted pages, matching the photos the app prepares (src/image-edit.js)
+export const MAX_DIMENSION = 1600;
+
+const JPEG_QUALITY = 85;
+
+// PDF pages are rendered at up to this many pixels per point, so small pages aren't blown up
+const MAX_PDF_ZOOM = 3;
+
+// Render every page of a document (PDF or JPEG) to a JPEG no larger than MAX_DIMENSION
+async function renderPages(buffer, magic, maxPages) {
+  const mupdf = await import('mupdf');
+  const document = mupdf.Document.openDocument(buffer, magic);
+
+  try {
+    const pageCount = document.countPages();
+    if (pageCount === 0) {
+      throw new RequestError('The document has no pages');
+    }
+    if (pageCount > maxPages) {
+      throw new RequestError(`Too many pages (${pageCount}). A menu can have at most ${maxPages}`);
+    }
+
+    const pages = [];
+    for (let index = 0; index < pageCount; index++) {
+      const page = document.loadPage(index);
+      const [x0, y0, x1, y1] = page.getBounds();
+      const zoom = Math.min(MAX_DIMENSION / (x1 - x0), MAX_DIMENSION / (y1 - y0), magic === 'application/pdf' ? MAX_PDF_ZOOM : 1);
+      const pixmap = page.toPixmap(mupdf.Matrix.scale(zoom, zoom), mupdf.ColorSpace.DeviceRGB, false, true);
+
+      pages.push({
+        image: Buffer.from(pixmap.asJPEG(JPEG_QUALITY)).toString('base64'),
+        mediaType: 'image/jpeg',
+        width: pixmap.getWidth(),
+        height: pixmap.getHeight()
+      });
+
+      pixmap.destroy();
+      page.destroy();
+    }
+    return pages;
+  } finally {
+    document.destroy();
+  }
+}
+
+async function heicToJpeg(buffer) {
+  const { default: convert } = await import('heic-convert');
+  return Buffer.from(await convert({ buffer, format: 'JPEG', quality: JPEG_QUALITY / 100 }));
+}
+
+// Convert one base64 upload into JPEG pages: [{ image, mediaType, width, height }].
+// `maxPages` caps how many pages a PDF may add.
+export async function convertUpload({ image, mediaType }, { maxPages }) {
+  if (!CONVERTIBLE_MEDIA_TYPES.includes(mediaType)) {
+    throw new RequestError(`Cannot convert ${mediaType}. Supported: PDF, HEIC and HEIF`);
+  }
+
+  const buffer = Buffer.from(image, 'base64');
+
+  try {
+    if (mediaType === 'application/pdf') {
+      return await renderPages(buffer, 'application/pdf', maxPages);
+    }
+    // HEIC photos are usually 12+ megapixels, so they are scaled down after decoding
+    return await renderPages(await heicToJpeg(buffer), 'image/jpeg', maxPages);
+  } catch (error) {
+    if (error instanceof RequestError) throw error;
+    console.error(`Could not convert ${mediaType}:`, error.message);
+    throw new RequestError(`Could not read this ${mediaType === 'application/pdf' ? 'PDF' : 'HEIC photo'}. Is the file damaged?`, 422);
+  }
+}
+
+// Expand a menu's pages, converting PDF and HEIC uploads in place. Text pages and images the model
+// reads directly pass through unchanged. Throws a RequestError when the result exceeds `maxPages`.
+export async function convertPages(pages, { maxPages }) {
+  const converted = [];
+
+  for (const [index, page] of pages.entries()) {
+    if (!CONVERTIBLE_MEDIA_TYPES.includes(page.mediaType)) {
+      converted.push(page);
+      continue;
+    }
+
+    // Room left once the pages after this one are counted
+    const remaining = maxPages - converted.length - (pages.length - index - 1);
+    const images = await convertUpload(page, { maxPages: Math.max(remaining, 0) });
+    converted.push(...images.map(({ image, mediaType }) => ({ image, mediaType })));
+  }
+
+  return converted;
+}
@@ -0,0 +1,182 @@
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { RequestError } from '../errors.js';
+import { findLanguage } from '../languages.js';
+import { dishKey, dishVariantKey } from '../pages.js';
+import { createFileCorrectionStore, createMemoryCorrectionStore } from './stores.js';
+
+export { createFileCorrectionStore, createMemoryCorrectionStore };
+
+// User corrections to analyzed dishes: a better name, a better definition, or "this isn't a dish".
+// A record is { id, dish, name, language, correctedName, definition, wrong, reporters, reports, confirmed, createdAt, updatedAt }:
+//   dish        dishVariantKey() of `name`, the name as the model read it, which the correction applies to
+//   language    the definition's language (null for corrections without a definition, which apply in every language)
+//   reporters   hashed ids of the callers who sent this same correction; `reports` counts them
+//   confirmed   set when an admin confirmed it
+// A correction changes its reporters' own analyses right away, and everyone's once confirmed. However many
+// callers send it, only an admin can confirm it: anyone can report from several addresses. In analyses,
+// corrections win over both the model and the glossary.
+
+export const DEFAULT_CORRECTIONS_FILE = fileURLToPath(new URL('../../.cache/corrections.json', import.meta.url));
+
+const MAX_NAME_LENGTH = 200;
+const MAX_DEFINITION_LENGTH = 300;
+
+const cleanText = value => value.replace(/\s+/g, ' ').trim();
+
+function optionalText(value, field, maxLength) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') {
+    throw new RequestError(`${field} must be a string`);
+  }
+  const text = cleanText(value);
+  if (text.length > maxLength) {
+    throw new RequestError(`${field} is too long (at most ${maxLength} characters)`);
+  }
+  return text || null;
+}
+
+// Check a POST /api/corrections body: { name, language, correctedName?, definition?, wrong? }
+export function validateCorrectionRequest(body) {
+  const { name, language, correctedName, definition, wrong = false } = body || {};
+
+  const readName = optionalText(name, 'name', MAX_NAME_LENGTH);
+  if (!readName || !dishVariantKey(readName)) {
+    throw new RequestError('Missing required field: name (the dish name as it was read)');
+  }
+  if (typeof wrong !== 'boolean') {
+    throw new RequestError('wrong must be true or false');
+  }
+
+  const targetLanguage = findLanguage(language);
+  if (!targetLanguage) {
+    throw new RequestError(`Unsupported language: ${language}`);
+  }
+
+  // The same name again is no correction
+  const typedName = optionalText(correctedName, 'correctedName', MAX_NAME_LENGTH);
+  const newName = typedName === readName ? null : typedName;
+  if (newName && !dishVariantKey(newName)) {
+    throw new RequestError('correctedName must contain letters or digits');
+  }
+  const newDefinition = optionalText(definition, 'definition', MAX_DEFINITION_LENGTH);
+
+  if (wrong && (newName || newDefinition)) {
+    throw new RequestError('A dish marked wrong takes no correctedName or definition');
+  }
+  if (!wrong && !newName && !newDefinition) {
+    throw new RequestError('Send a correctedName, a definition, or wrong: true');
+  }
+
+  return {
+    name: readName,
+    language: newDefinition ? targetLanguage.code : null,
+    correctedName: newName,
+    definition: newDefinition,
+    wrong
+  };
+}
+
+// The same correction sent by different callers gets the same id
+export function correctionId({ name, language, correctedName, definition, wrong }) {
+  return createHash('sha256')
+    .update(JSON.stringify([dishVariantKey(name), language, correctedName, definition?.toLowerCase() ?? null, wrong]))
+    .digest('hex')
+    .slice(0, 24);
+}
+
+// Callers are told apart by token name or IP address, stored only as a hash
+function reporterId({ key, ip }) {
+  return createHash('sha256').update(key ? `key:${key}` : `ip:${ip}`).digest('hex').slice(0, 16);
+}
+
+// Record one caller's correction, adding them as a reporter when someone sent the same one before.
+// Returns the stored record.
+export function submitCorrection(store, correction, caller) {
+  const id = correctionId(correction);
+  const reporter = reporterId(caller);
+  const now = new Date().toISOString();
+
+  return store.update(id, existing => {
+    const record = existing || { id, dish: dishVariantKey(correction.name), ...correction, reporters: [], confirmed: false, createdAt: now };
+    const reporters = record.reporters.includes(reporter) ? record.reporters : [...record.reporters, reporter];
+    return {
+      ...record,
+      reporters,
+      reports: reporters.length,
+      updatedAt: now
+    };
+  });
+}
+
+// Mark a correction confirmed by an admin; returns the record, or null when there is none with that id
+export async function confirmCorrection(store, id) {
+  if (!(await store.list()).some(record => record.id === id)) return null;
+  return store.update(id, record => ({ ...record, confirmed: true, updatedAt: new Date().toISOString() }));
+}
+
+// The corrections that apply to `caller`'s analyses: every confirmed one, and the ones they sent themselves.
+// Without a caller, only confirmed ones. Never fails an analysis: an unreadable store counts as empty.
+export async function loadCorrections(store, caller = null) {
+  if (!store) return [];
+  const reporter = caller ? reporterId(caller) : null;
+  try {
+    return (await store.list()).filter(record => record.confirmed || record.reporters.includes(reporter));
+  } catch (error) {
+    console.log(`Corrections unavailable: ${error.message}`);
+    return [];
+  }
+}
+
+// Most reported first, then most recent
+function strongest(records) {
+  return [...records].sort((a, b) => b.reports - a.reports || b.updatedAt.localeCompare(a.updatedAt))[0] || null;
+}
+
+// What `corrections` say about a dish the model named `name`: { wrong, name, definition }
+// (name and definition null when unchanged), or null when nothing applies. A correction sent for the full
+// name applies to that name only, so "Arancini (al ragù)" says nothing about "Arancini (al burro)"; one
+// sent for a name without parentheses also applies when the model adds a translation. A definition
+// correction also applies when the model reads the dish under its corrected name.
+export function findCorrection(name, corrections, language) {
+  const keys = new Set([dishVariantKey(name), dishKey(name)].filter(Boolean));
+  if (!corrections?.length || keys.size === 0) return null;
+
+  const renamed = strongest(corrections.filter(record => keys.has(record.dish) && (record.wrong || record.correctedName)));
+  if (renamed?.wrong) return { wrong: true, name: null, definition: null };
+
+  if (renamed) keys.add(dishVariantKey(renamed.correctedName));
+  const redefined = strongest(corrections.filter(record => record.definition && record.language === language &&
+    [record.dish, dishVariantKey(record.correctedName)].some(dish => keys.has(dish))));
+
+  if (!renamed && !redefined) return null;
+  return { wrong: false, name: renamed?.correctedName ?? null, definition: redefined?.definition ?? null };
+}
+
+// Apply a found correction's definition to a normalized dish, in place of the model's or the glossary's
+// (source "correction"). A corrected dish counts as certain.
+export function applyCorrection(dish, correction) {
+  if (!correction) return dish;
+  return correction.definition
+    ? { ...dish, definition: correction.definition, confidence: 1, source: 'correction' }
+    : { ...dish, confidence: 1 };
+}
+
+// Pick the corrections store from CORRECTIONS ("file", "memory" or "off") and CORRECTIONS_FILE
+export function createCorrectionStoreFromEnv(env = process.env) {
+  const kind = env.CORRECTIONS || 'file';
+
+  switch (kind) {
+    case 'off':
+      return null;
+    case 'memory':
+      return createMemoryCorrectionStore();
+    case 'file':
+      // Vercel functions can only write to /tmp
+      return createFileCorrectionStore({
+        file: env.CORRECTIONS_FILE || (env.VERCEL ? '/tmp/corrections.json' : DEFAULT_CORRECTIONS_FILE)
+      });
+    default:
+      throw new Error(`Unknown CORRECTIONS "${kind}". Use "file", "memory" or "off".`);
+  }
+}
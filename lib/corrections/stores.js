@@ -0,0 +1,87 @@
+import { mkdir, readFile, rename, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+// Correction stores. Every store exposes:
+//   list() -> records, update(id, change) -> record, delete(id) -> boolean
+// where change(existing record or null) returns the record to keep. Records are described in index.js.
+
+export function createMemoryCorrectionStore() {
+  // Records are stored serialized so callers can't mutate what's stored
+  const records = new Map();
+
+  return {
+    name: 'memory',
+
+    async list() {
+      return [...records.values()].map(stored => JSON.parse(stored));
+    },
+
+    async update(id, change) {
+      const record = change(records.has(id) ? JSON.parse(records.get(id)) : null);
+      records.set(id, JSON.stringify(record));
+      return record;
+    },
+
+    async delete(id) {
+      return records.delete(id);
+    }
+  };
+}
+
+// Every record in one JSON file ({ corrections: [...] }), rewritten on each change. Changes are queued so
+// two reports arriving together can't overwrite each other.
+export function createFileCorrectionStore({ file }) {
+  let queue = Promise.resolve();
+
+  async function read() {
+    try {
+      const { corrections } = JSON.parse(await readFile(file, 'utf8'));
+      return Array.isArray(corrections) ? corrections : [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`Ignoring unreadable corrections file ${file}: ${error.message}`);
+      }
+      return [];
+    }
+  }
+
+  // Write a temporary file and rename it, so a crash mid-write leaves the old file intact
+  async function write(records) {
+    await mkdir(dirname(file), { recursive: true });
+    await writeFile(`${file}.tmp`, JSON.stringify({ corrections: records }, null, 2));
+    await rename(`${file}.tmp`, file);
+  }
+
+  function queued(task) {
+    const run = queue.then(task);
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  return {
+    name: 'file',
+    list: read,
+
+    update(id, change) {
+      return queued(async () => {
+        const records = await read();
+        const index = records.findIndex(record => record.id === id);
+        const record = change(index >= 0 ? records[index] : null);
+        if (index >= 0) records[index] = record;
+        else records.push(record);
+        await write(records);
+        return record;
+      });
+    },
+
+    delete(id) {
+      return queued(async () => {
+        const records = await read();
+        const remaining = records.filter(record => record.id !== id);
+        if (remaining.length === records.length) return false;
+        await write(remaining);
+        return true;
+      });
+    }
+  };
+}
@@ -0,0 +1,64 @@
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+// Edit data/exchange-rates.json (or point EXCHANGE_RATES_FILE elsewhere) to change rates; no live service is used
+export const DEFAULT_RATES_FILE = fileURLToPath(new URL('../data/exchange-rates.json', import.meta.url));
+
+export const DEFAULT_HOME_CURRENCY = 'USD';
+
+// Read the rates table: { base, updated, rates: { CODE: units per 1 base } }.
+// Read on every call so edits apply without a restart; returns null when the file is missing or invalid.
+export async function loadExchangeRates(file = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE) {
+  try {
+    const table = JSON.parse(await readFile(file, 'utf8'));
+    if (!table.rates || typeof table.rates !== 'object') {
+      throw new Error('missing "rates" object');
+    }
+    return table;
+  } catch (error) {
+    console.log(`Exchange rates unavailable (${file}): ${error.message}`);
+    return null;
+  }
+}
+
+// A printed amount as a number: "3,50", "1.250,00", "1,250.00" and "1 250" all read the way a menu means them.
+// With both marks, the last one is the decimal point. With one mark, it separates thousands when it repeats
+// or has exactly three digits after it ("1.250"), and is the decimal point otherwise ("12,5").
+function parseAmount(text) {
+  const number = text.replace(/[^\d.,]/g, '');
+  const lastMark = Math.max(number.lastIndexOf('.'), number.lastIndexOf(','));
+  if (lastMark < 0) return Number(number);
+
+  const integer = number.slice(0, lastMark).replace(/[.,]/g, '');
+  const fraction = number.slice(lastMark + 1);
+  const marks = number.match(/[.,]/g);
+  const thousands = marks.every(mark => mark === marks[0]) &&
+    (marks.length > 1 || (fraction.length === 3 && Number(integer) > 0));
+  return Number(thousands ? `${integer}${fraction}` : `${integer}.${fraction}`);
+}
+
+// Clean a model-returned { amount, currency }; returns null when no usable price was printed
+export function normalizePrice(price) {
+  if (!price || typeof price !== 'object') return null;
+
+  const amount = typeof price.amount === 'string' ? parseAmount(price.amount) : Number(price.amount);
+  if (!Number.isFinite(amount) || amount <= 0) return null;
+
+  const currency = typeof price.currency === 'string' && /^[A-Za-z]{3}$/.test(price.currency.trim())
+    ? price.currency.trim().toUpperCase()
+    : null;
+
+  return { amount, currency };
+}
+
+// Convert a normalized price into the home currency; returns null when either currency has no rate
+export function convertPrice(price, homeCurrency, table) {
+  if (!price?.currency || !table) return null;
+
+  const fromRate = table.rates[price.currency];
+  const toRate = table.rates[homeCurrency];
+  if (!fromRate || !toRate) return null;
+
+  const amount = Math.round((price.amount / fromRate) * toRate * 100) / 100;
+  return { amount, currency: homeCurrency, rateDate: table.updated || null };
+}
@@ -0,0 +1,76 @@
+// Allergen and diet tag vocabulary, shared by the server (normalizing model output)
+// and App.svelte (profile checkboxes and flagging).
+
+export const ALLERGENS = [
+  { id: 'nuts', label: 'Nuts' },
+  { id: 'shellfish', label: 'Shellfish' },
+  { id: 'gluten', label: 'Gluten' },
+  { id: 'dairy', label: 'Dairy' },
+  { id: 'egg', label: 'Egg' }
+];
+
+export const DIET_TAGS = [
+  { id: 'vegetarian', label: 'Vegetarian' },
+  { id: 'vegan', label: 'Vegan' },
+  { id: 'pork', label: 'Pork' },
+  { id: 'halal-questionable', label: 'Halal questionable' }
+];
+
+// Ordered from most to least certain
+export const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+
+export const EMPTY_PROFILE = { avoid: [], diets: [], mode: 'flag' };
+
+// Keep only known tags with a valid confidence, one entry per tag
+function normalizeTagList(list, vocabulary) {
+  if (!Array.isArray(list)) return [];
+
+  const known = new Set(vocabulary.map(tag => tag.id));
+  const seen = new Set();
+
+  return list
+    .map(entry => (typeof entry === 'string' ? { tag: entry } : entry))
+    .filter(entry => entry && known.has(entry.tag) && !seen.has(entry.tag) && seen.add(entry.tag))
+    .map(entry => ({
+      tag: entry.tag,
+      confidence: CONFIDENCE_LEVELS.includes(entry.confidence) ? entry.confidence : 'low'
+    }));
+}
+
+// Clean the model's allergen and diet arrays for one dish
+export function normalizeDietaryTags({ allergens, diet } = {}) {
+  return {
+    allergens: normalizeTagList(allergens, ALLERGENS),
+    diet: normalizeTagList(diet, DIET_TAGS)
+  };
+}
+
+// List the reasons a dish does not fit a dietary profile.
+// `profile.avoid` holds allergen ids plus "pork" / "halal-questionable"; `profile.diets` holds "vegetarian" / "vegan".
+// Each conflict is { tag, confidence, reason } where confidence is how sure the model was.
+export function findConflicts(dish, profile = EMPTY_PROFILE) {
+  const allergens = dish.allergens || [];
+  const diet = dish.diet || [];
+  const conflicts = [];
+
+  for (const avoided of profile.avoid || []) {
+    const match = allergens.find(entry => entry.tag === avoided) || diet.find(entry => entry.tag === avoided);
+    if (match) {
+      conflicts.push({ tag: avoided, confidence: match.confidence, reason: 'contains' });
+    } else if (avoided === 'halal-questionable') {
+      // Pork always makes a dish questionable for halal diners
+      const pork = diet.find(entry => entry.tag === 'pork');
+      if (pork) conflicts.push({ tag: avoided, confidence: pork.confidence, reason: 'contains' });
+    }
+  }
+
+  for (const required of profile.diets || []) {
+    // Vegan dishes also satisfy a vegetarian profile
+    const accepted = required === 'vegetarian' ? ['vegetarian', 'vegan'] : [required];
+    if (!diet.some(entry => accepted.includes(entry.tag))) {
+      conflicts.push({ tag: required, confidence: 'low', reason: 'not confirmed' });
+    }
+  }
+
+  return conflicts;
+}
@@ -0,0 +1,50 @@
+// Error raised for bad client input; carries the HTTP status to respond with
+export class RequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RequestError';
+    this.status = status;
+  }
+}
+
+// Too many requests from one caller; `retryAfter` is the number of seconds until the limit resets
+export class RateLimitError extends RequestError {
+  constructor(message, retryAfter) {
+    super(message, 429);
+    this.name = 'RateLimitError';
+    this.retryAfter = retryAfter;
+  }
+}
+
+// Map any thrown error to the { status, body, headers? } sent back to the browser
+export function toErrorResponse(error) {
+  if (error instanceof RateLimitError) {
+    return { status: 429, body: { error: error.message }, headers: { 'Retry-After': String(error.retryAfter) } };
+  }
+
+  if (error instanceof RequestError) {
+    return { status: error.status, body: { error: error.message } };
+  }
+
+  if (error.status === 401) {
+    return { status: 401, body: { error: 'Invalid API key. Check your environment variables.' } };
+  }
+
+  if (error.status === 429) {
+    return { status: 429, body: { error: 'Rate limited. Please try again in a moment.' } };
+  }
+
+  if (error.status >= 500) {
+    return { status: 502, body: { error: 'Anthropic API is experiencing issues. Please try again later.' } };
+  }
+
+  // Generic error
+  return { status: 500, body: { error: error.message || 'Failed to process image' } };
+}
+
+// Attach to a failure the model usage spent before it, { inputTokens, outputTokens, modelCalls }, so the
+// request is recorded with what it cost
+export function withUsage(error, usage) {
+  if (error instanceof Error) error.usage = usage;
+  return error;
+}
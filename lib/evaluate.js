@@ -0,0 +1,157 @@
+import { findGlossaryEntry } from './glossary/match.js';
+import { dishKey, dishVariantKey } from './pages.js';
+
+// Scoring analyses against golden fixtures, for tuning the prompt (see scripts/evaluate.js).
+// A fixture lists the dishes a menu should yield: { language?, dishes: [{ name, aliases?, definition? }] }.
+// Found dishes are matched to expected ones by name: exact names first, then ignoring translations in
+// parentheses, then with the glossary's tolerance for small typos.
+
+// Words too common in definitions to say anything about the dish
+const STOP_WORDS = new Set([
+  'and', 'the', 'with', 'for', 'from', 'into', 'its', 'that', 'this', 'then', 'over', 'served', 'dish',
+  'con', 'del', 'della', 'alla', 'und', 'mit', 'les', 'des', 'avec', 'aux'
+]);
+
+const wordSegmenter = new Intl.Segmenter(undefined, { granularity: 'word' });
+
+// Short Latin words are mostly articles and prepositions, but in scripts like Chinese or Japanese one or
+// two characters make a word, and those scripts don't separate words with spaces
+const isContentWord = word => !STOP_WORDS.has(word) && (word.length > 2 || /[^\p{Script=Latin}\p{N}]/u.test(word));
+
+// Parentheses are kept: in a definition they hold content ("(pistachio)"), not a translation of the name
+function definitionWords(text) {
+  const words = [...wordSegmenter.segment(dishVariantKey(text))].filter(segment => segment.isWordLike).map(segment => segment.segment);
+  return new Set(words.filter(isContentWord));
+}
+
+// How far apart two definitions are, from 0 (the same content words) to 1 (none shared): 1 - Jaccard similarity
+export function definitionDrift(a, b) {
+  const wordsA = definitionWords(a);
+  const wordsB = definitionWords(b);
+  if (wordsA.size === 0 && wordsB.size === 0) return 0;
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return round(1 - shared / (wordsA.size + wordsB.size - shared));
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+const ratio = (count, total) => (total > 0 ? round(count / total) : null);
+const mean = values => (values.length > 0 ? round(values.reduce((sum, value) => sum + value, 0) / values.length) : null);
+
+export function validateFixture(fixture, file) {
+  if (!fixture || !Array.isArray(fixture.dishes) || !fixture.dishes.every(dish => typeof dish?.name === 'string' && dish.name.trim())) {
+    throw new Error(`${file}: a fixture needs "dishes": [{ "name": "…" }, ...]`);
+  }
+  return fixture;
+}
+
+const namesOf = entry => [entry.term, ...entry.aliases];
+
+// The first entry with a name whose key (by `keyOf`) is `key`; an empty key matches nothing
+const findByKey = (entries, key, keyOf) => (key ? entries.find(entry => namesOf(entry).some(name => keyOf(name) === key)) : null);
+
+// Ways to match a found dish to an expected one, strictest first
+const MATCH_PASSES = [
+  // The whole name: "Arancini (al ragù)" is not "Arancini (al burro)"
+  (name, entries) => findByKey(entries, dishVariantKey(name), dishVariantKey),
+  // Ignoring a translation in parentheses
+  (name, entries) => findByKey(entries, dishKey(name), dishKey),
+  // Small typos, as the glossary allows them
+  (name, entries) => findGlossaryEntry(name, { entries }),
+  // The model sometimes adds a translation or a word of description ("Eoliana pasta")
+  (name, entries) => entries.find(entry => namesOf(entry).some(term => dishKey(term) && dishKey(name).startsWith(`${dishKey(term)} `)))
+];
+
+// Score one analysis (the /api/analyze contract) against its fixture. Each expected dish matches at most one
+// found dish. Every pass runs over all found dishes before the next, so a dish with a typo can't claim the
+// expected dish another one names exactly. Drift compares the definitions of matched dishes with the
+// fixture's, where it gives one.
+export function scoreAnalysis(response, fixture) {
+  const entries = fixture.dishes.map(dish => ({ term: dish.name, aliases: dish.aliases || [], dish }));
+  const matches = response.items.map(() => null);
+  const claimed = new Set();
+
+  for (const pass of MATCH_PASSES) {
+    response.items.forEach((item, index) => {
+      if (matches[index]) return;
+      const entry = pass(item.name, entries.filter(candidate => !claimed.has(candidate)));
+      if (!entry) return;
+      matches[index] = entry;
+      claimed.add(entry);
+    });
+  }
+
+  const dishes = response.items.map((item, index) => {
+    const expected = matches[index]?.dish;
+    return {
+      name: item.name,
+      expected: expected?.name ?? null,
+      definition: item.definition,
+      drift: expected?.definition ? definitionDrift(expected.definition, item.definition) : null,
+      confidence: item.confidence ?? null,
+      source: item.source
+    };
+  });
+
+  const matched = dishes.filter(dish => dish.expected);
+  const drifts = matched.map(dish => dish.drift).filter(drift => drift !== null);
+
+  return {
+    expected: fixture.dishes.length,
+    found: dishes.length,
+    matched: matched.length,
+    precision: ratio(matched.length, dishes.length),
+    recall: ratio(matched.length, fixture.dishes.length),
+    definitionDrift: mean(drifts),
+    missing: fixture.dishes.filter(dish => !matched.some(found => found.expected === dish.name)).map(dish => dish.name),
+    extra: dishes.filter(dish => !dish.expected).map(dish => dish.name),
+    dishes
+  };
+}
+
+// Totals over every scored file, counting dishes (not files) so big menus weigh more
+export function summarizeScores(files) {
+  const scored = files.filter(file => file.score);
+  const sum = key => scored.reduce((total, file) => total + file.score[key], 0);
+  const drifts = scored.flatMap(file => file.score.dishes.map(dish => dish.drift)).filter(drift => drift !== null);
+
+  return {
+    files: files.length,
+    failed: files.filter(file => file.error).length,
+    expected: sum('expected'),
+    found: sum('found'),
+    matched: sum('matched'),
+    precision: ratio(sum('matched'), sum('found')),
+    recall: ratio(sum('matched'), sum('expected')),
+    definitionDrift: mean(drifts)
+  };
+}
+
+// Dishes a run found in one file, scored or not
+const runDishes = file => file.score?.dishes || file.dishes || [];
+
+// Compare a run with an earlier one (both as written by the CLI): the change in each total, and how far each
+// dish's definition moved between the two runs
+export function compareRuns(current, previous) {
+  const delta = key => (current.totals[key] !== null && previous.totals[key] !== null
+    ? round(current.totals[key] - previous.totals[key])
+    : null);
+
+  const previousDefinitions = new Map(previous.files.flatMap(file =>
+    runDishes(file).map(dish => [`${file.file}\n${dishVariantKey(dish.name)}`, dish.definition])
+  ));
+  const drifts = current.files.flatMap(file => runDishes(file).flatMap(dish => {
+    const before = previousDefinitions.get(`${file.file}\n${dishVariantKey(dish.name)}`);
+    return before === undefined ? [] : [definitionDrift(before, dish.definition)];
+  }));
+
+  return {
+    previousPromptVersion: previous.promptVersion,
+    precision: delta('precision'),
+    recall: delta('recall'),
+    definitionDrift: delta('definitionDrift'),
+    // Dishes found in both runs, and how much their definitions changed on average
+    sharedDishes: drifts.length,
+    driftFromPrevious: mean(drifts)
+  };
+}
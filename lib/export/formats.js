@@ -0,0 +1,255 @@
+import { ALLERGENS, DIET_TAGS } from '../dietary.js';
+
+// Text exports of an analyzed menu, shared by the app (which builds them offline) and /api/export.
+// A menu to export is { title, sections, pages }: sections as returned by /api/analyze, and pages
+// as sent to it ({ image, mediaType } photos or { text } / { html } text pages), in item `page` order.
+
+export const EXPORT_FORMATS = {
+  pdf: { label: 'PDF', extension: 'pdf', mediaType: 'application/pdf' },
+  html: { label: 'HTML page', extension: 'html', mediaType: 'text/html; charset=utf-8' },
+  md: { label: 'Markdown', extension: 'md', mediaType: 'text/markdown; charset=utf-8' },
+  csv: { label: 'CSV', extension: 'csv', mediaType: 'text/csv; charset=utf-8' }
+};
+
+const TAG_LABELS = Object.fromEntries([...ALLERGENS, ...DIET_TAGS].map(tag => [tag.id, tag.label]));
+
+const CSV_COLUMNS = [
+  'number', 'section', 'name', 'definition', 'price', 'currency',
+  'converted_price', 'converted_currency', 'allergens', 'diet', 'page', 'source', 'confidence'
+];
+
+// Every dish with its marker number, counted across sections in menu order like the app does
+export function numberedItems(sections) {
+  let number = 0;
+  return sections.flatMap(section => section.items.map(item => ({ number: ++number, item, section })));
+}
+
+const isText = value => value === undefined || value === null || typeof value === 'string';
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+const isOptional = (value, check) => value === undefined || value === null || check(value);
+
+const isPrice = price => isNumber(price?.amount) && isText(price.currency) &&
+  isOptional(price.converted, converted => isNumber(converted?.amount) && isText(converted.currency));
+const isTagList = tags => Array.isArray(tags) && tags.every(tag => typeof tag?.tag === 'string' && typeof tag.confidence === 'string');
+const isBox = box => ['x', 'y', 'width', 'height'].every(key => isNumber(box?.[key]));
+
+// The first field of an item the formatters can't print, as a message naming it; null when the item is fine
+function itemProblem(item) {
+  if (typeof item?.name !== 'string') return 'name must be a string';
+  if (!isText(item.definition)) return 'definition must be a string';
+  if (!isOptional(item.price, isPrice)) return 'price must be { amount, currency } with a numeric amount';
+  if (!isOptional(item.allergens, isTagList)) return 'allergens must be an array of { tag, confidence }';
+  if (!isOptional(item.diet, isTagList)) return 'diet must be an array of { tag, confidence }';
+  if (!isOptional(item.page, page => Number.isInteger(page) && page >= 0)) return 'page must be a page index';
+  if (!isOptional(item.box, isBox)) return 'box must be { x, y, width, height } numbers';
+  if (!isText(item.source)) return 'source must be a string';
+  if (!isOptional(item.confidence, isNumber)) return 'confidence must be a number';
+  return null;
+}
+
+// Why `sections` (as /api/analyze returns them, or as a client sends them back) can't be printed, as a
+// message naming the first bad field; null when every section and dish is fine
+export function sectionsProblem(sections) {
+  if (!Array.isArray(sections) || sections.some(section => !Array.isArray(section?.items))) {
+    return 'Missing or invalid sections: expected [{ name, items: [...] }]';
+  }
+  for (const [sectionIndex, section] of sections.entries()) {
+    if (!['name', 'translation', 'description'].every(field => isText(section[field]))) {
+      return `sections[${sectionIndex}]: name, translation and description must be strings`;
+    }
+    for (const [index, item] of section.items.entries()) {
+      const problem = itemProblem(item);
+      if (problem) return `sections[${sectionIndex}].items[${index}]: ${problem}`;
+    }
+  }
+  return null;
+}
+
+export function formatPrice(price) {
+  if (!price) return '';
+  const money = (amount, currency) => {
+    if (!currency) return amount.toFixed(2);
+    try {
+      return new Intl.NumberFormat('en', { style: 'currency', currency }).format(amount);
+    } catch (err) {
+      return `${amount.toFixed(2)} ${currency}`;
+    }
+  };
+
+  const printed = money(price.amount, price.currency);
+  const { converted } = price;
+  return converted && converted.currency !== price.currency
+    ? `${printed} (≈ ${money(converted.amount, converted.currency)})`
+    : printed;
+}
+
+// "Gluten (high), Dairy (medium)"
+export function formatTags(tags) {
+  return (tags || []).map(tag => `${TAG_LABELS[tag.tag] || tag.tag} (${tag.confidence})`).join(', ');
+}
+
+export function sectionTitle(section) {
+  if (!section.name) return '';
+  return section.translation && section.translation !== section.name
+    ? `${section.name} (${section.translation})`
+    : section.name;
+}
+
+// "Trattoria da Nino" -> "trattoria-da-nino"
+export function slugify(title, maxLength = 60) {
+  return String(title || 'menu')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, maxLength)
+    .replace(/-$/, '') || 'menu';
+}
+
+// "trattoria-da-nino-2026-10-18.pdf"
+export function exportFilename(title, format, date = new Date()) {
+  return `${slugify(title)}-${date.toISOString().slice(0, 10)}.${EXPORT_FORMATS[format].extension}`;
+}
+
+export function exportMarkdown({ title, sections, pages = [] }) {
+  const lines = [`# ${title || 'Menu'}`, ''];
+  const entries = numberedItems(sections);
+  const multiPage = pages.length > 1;
+
+  for (const section of sections) {
+    const items = entries.filter(entry => entry.section === section);
+    if (section.name) {
+      lines.push(`## ${sectionTitle(section)}`, '');
+      if (section.description) lines.push(`_${section.description}_`, '');
+    }
+
+    for (const { number, item } of items) {
+      const details = [formatPrice(item.price), multiPage ? `p. ${(item.page ?? 0) + 1}` : ''].filter(Boolean);
+      lines.push(`${number}. **${item.name}**${details.length ? ` · ${details.join(' · ')}` : ''}`);
+      if (item.definition) lines.push(`   ${item.definition}`);
+      const tags = formatTags([...(item.allergens || []), ...(item.diet || [])]);
+      if (tags) lines.push(`   _${tags}_`);
+    }
+    lines.push('');
+  }
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+// Quote every field that needs it, and defuse values a spreadsheet would run as a formula
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One row per dish. Starts with a byte order mark so Excel reads accented names correctly.
+export function exportCsv({ sections }) {
+  const rows = numberedItems(sections).map(({ number, item, section }) => [
+    number,
+    sectionTitle(section),
+    item.name,
+    item.definition,
+    item.price?.amount,
+    item.price?.currency,
+    item.price?.converted?.amount,
+    item.price?.converted?.currency,
+    formatTags(item.allergens),
+    formatTags(item.diet),
+    (item.page ?? 0) + 1,
+    item.source,
+    item.confidence
+  ]);
+
+  return `\ufeff${[CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+}
+
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const HTML_STYLE = `
+  body { margin: 0 auto; max-width: 900px; padding: 32px 24px; font-family: Georgia, 'Times New Roman', serif; color: #1a1a1a; background: #fafaf8; }
+  h1 { font-weight: 400; font-size: 1.75em; margin: 0 0 4px; }
+  .exported { color: #6b6b68; font-size: 0.85em; margin: 0 0 24px; }
+  figure { position: relative; margin: 0 0 24px; line-height: 0; }
+  figure img { width: 100%; border: 1px solid #e5e5e3; }
+  .marker { position: absolute; transform: translate(-50%, -50%); width: 22px; height: 22px; border-radius: 50%; background: #1a1a1a; color: #fff; font: 600 12px/22px Helvetica, Arial, sans-serif; text-align: center; }
+  .text-page { white-space: pre-wrap; font-size: 0.85em; padding: 16px; border: 1px solid #e5e5e3; background: #fff; }
+  h2 { font-weight: 400; font-size: 1.3em; margin: 28px 0 4px; border-bottom: 1px solid #d4d4d0; padding-bottom: 4px; }
+  .section-description { color: #6b6b68; font-style: italic; margin: 4px 0 8px; }
+  .entry { margin: 10px 0; }
+  .number { color: #6b6b68; }
+  .dish { font-weight: bold; }
+  .price { color: #6b6b68; }
+  .entry p { margin: 2px 0; }
+  .tags { color: #6b6b68; font-size: 0.85em; }
+  body.print { background: #fff; padding: 0; max-width: none; }
+  @media print { body { background: #fff; } figure { page-break-inside: avoid; } }
+`;
+
+// A standalone page: each photo with numbered markers over its dishes, then the numbered glossary.
+// Everything (styles, photos as data URLs) is inline, so the file can be mailed around as is.
+// `print: true` gives the plain, photo-less page the PDF export lays out (it draws the photos itself).
+export function exportHtml({ title, sections, pages = [] }, { print = false, exportedAt = new Date() } = {}) {
+  const entries = numberedItems(sections);
+  const multiPage = pages.length > 1;
+  const heading = escapeHtml(title || 'Menu');
+
+  const pageFigures = print ? [] : pages.map((page, pageIndex) => {
+    if (!page.image) {
+      return page.text ? `<pre class="text-page">${escapeHtml(page.text)}</pre>` : '';
+    }
+    const markers = entries
+      .filter(({ item }) => item.box && (item.page ?? 0) === pageIndex)
+      .map(({ number, item }) =>
+        `<span class="marker" style="left: ${(item.box.x * 100).toFixed(2)}%; top: ${((item.box.y + item.box.height / 2) * 100).toFixed(2)}%" title="${escapeHtml(item.name)}">${number}</span>`
+      );
+    return `<figure><img src="data:${escapeHtml(page.mediaType)};base64,${escapeHtml(page.image)}" alt="Menu page ${pageIndex + 1}">${markers.join('')}</figure>`;
+  });
+
+  const sectionBlocks = sections.map(section => {
+    const items = entries.filter(entry => entry.section === section).map(({ number, item }) => {
+      const price = formatPrice(item.price);
+      const tags = formatTags([...(item.allergens || []), ...(item.diet || [])]);
+      return [
+        '<div class="entry">',
+        `<span class="number">${number}.</span> <span class="dish">${escapeHtml(item.name)}</span>`,
+        price ? ` <span class="price">${escapeHtml(price)}</span>` : '',
+        multiPage ? ` <span class="price">p. ${(item.page ?? 0) + 1}</span>` : '',
+        item.definition ? `<p>${escapeHtml(item.definition)}</p>` : '',
+        tags ? `<p class="tags">${escapeHtml(tags)}</p>` : '',
+        '</div>'
+      ].join('');
+    });
+
+    return [
+      section.name ? `<h2>${escapeHtml(sectionTitle(section))}</h2>` : '',
+      section.description ? `<p class="section-description">${escapeHtml(section.description)}</p>` : '',
+      ...items
+    ].join('\n');
+  });
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${heading}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body${print ? ' class="print"' : ''}>
+<h1>${heading}</h1>
+<p class="exported">Exported from Menu Lexicon on ${exportedAt.toISOString().slice(0, 10)}</p>
+${pageFigures.join('\n')}
+${sectionBlocks.join('\n')}
+</body>
+</html>
+`;
+}
@@ -0,0 +1,56 @@
+import { RequestError } from '../errors.js';
+import { EXPORT_FORMATS, exportCsv, exportFilename, exportHtml, exportMarkdown, sectionsProblem } from './formats.js';
+import { exportPdf } from './pdf.js';
+
+export { EXPORT_FORMATS, exportCsv, exportFilename, exportHtml, exportMarkdown, exportPdf };
+
+// Photos the exports can embed: what the app sends to /api/analyze after compressing
+const EXPORT_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+const isOptionalString = value => value === undefined || value === null || typeof value === 'string';
+// The HTML export puts photos straight into a data: URL, so anything but base64 could break out of it
+const isBase64 = value => /^[A-Za-z0-9+/]*={0,2}$/.test(value);
+
+const EXPORTERS = {
+  pdf: exportPdf,
+  html: exportHtml,
+  md: exportMarkdown,
+  csv: exportCsv
+};
+
+// Validate an /api/export body: { format, title, sections, pages } with sections as /api/analyze returns them.
+// Every field the exporters print is checked, so a malformed menu gets a 400 rather than failing mid-render.
+export function validateExportRequest(body) {
+  const { format, title = '', sections, pages = [] } = body || {};
+
+  if (!EXPORT_FORMATS[format]) {
+    throw new RequestError(`Unknown format "${format}". Use ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  const problem = sectionsProblem(sections);
+  if (problem) {
+    throw new RequestError(problem);
+  }
+  if (!Array.isArray(pages)) {
+    throw new RequestError('pages must be an array');
+  }
+
+  pages.forEach((page, index) => {
+    if (!page || typeof page !== 'object' || !isOptionalString(page.image) || !isOptionalString(page.text)) {
+      throw new RequestError(`Page ${index + 1} must be { image, mediaType } or { text }`);
+    }
+    if (page.image && !EXPORT_IMAGE_TYPES.includes(page.mediaType)) {
+      throw new RequestError(`Page ${index + 1}: photos must be JPEG, PNG, GIF or WebP`);
+    }
+    if (page.image && !isBase64(page.image)) {
+      throw new RequestError(`Page ${index + 1}: image must be base64`);
+    }
+  });
+
+  return { format, title: String(title).slice(0, 200), sections, pages };
+}
+
+// Render a validated menu in one of EXPORT_FORMATS: { body, mediaType, filename }
+export async function exportMenu({ format, ...menu }) {
+  const body = await EXPORTERS[format](menu);
+  return { body, mediaType: EXPORT_FORMATS[format].mediaType, filename: exportFilename(menu.title, format) };
+}
@@ -0,0 +1,104 @@
+import { RequestError } from '../errors.js';
+import { exportHtml, numberedItems } from './formats.js';
+
+// Printable PDF export, rendered with mupdf (loaded on first use, like lib/convert.js): one A4 page per
+// menu photo with numbered markers drawn over its dishes, followed by the numbered glossary, which is
+// laid out from the HTML export so both read the same. mupdf's HTML layout falls back to bundled Noto
+// fonts, so Greek, Cyrillic and CJK dish names print correctly.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 36;
+const FONT_SIZE = 11;
+const MARKER_RADIUS = 9;
+const MARKER_FONT_SIZE = 8;
+
+// A circle as four Bézier curves
+function circlePath(mupdf, cx, cy, r) {
+  const k = r * 0.5523;
+  const path = new mupdf.Path();
+  path.moveTo(cx + r, cy);
+  path.curveTo(cx + r, cy + k, cx + k, cy + r, cx, cy + r);
+  path.curveTo(cx - k, cy + r, cx - r, cy + k, cx - r, cy);
+  path.curveTo(cx - r, cy - k, cx - k, cy - r, cx, cy - r);
+  path.curveTo(cx + k, cy - r, cx + r, cy - k, cx + r, cy);
+  path.closePath();
+  return path;
+}
+
+function drawMarker(mupdf, device, font, number, cx, cy) {
+  device.fillPath(circlePath(mupdf, cx, cy, MARKER_RADIUS), false, mupdf.Matrix.identity, mupdf.ColorSpace.DeviceRGB, [0.1, 0.1, 0.1], 1);
+
+  // Measure the label first so it can be centered (device space is y-down, font space y-up)
+  const label = String(number);
+  const advance = new mupdf.Text().showString(font, mupdf.Matrix.scale(MARKER_FONT_SIZE, -MARKER_FONT_SIZE), label)[4];
+  const text = new mupdf.Text();
+  text.showString(font, [MARKER_FONT_SIZE, 0, 0, -MARKER_FONT_SIZE, cx - advance / 2, cy + MARKER_FONT_SIZE * 0.35], label);
+  device.fillText(text, mupdf.Matrix.identity, mupdf.ColorSpace.DeviceRGB, [1, 1, 1], 1);
+}
+
+// One photo, scaled to fit the page, with a marker at the left edge of each dish's box (as in the app)
+function drawPhotoPage(mupdf, writer, font, image, markers) {
+  const scale = Math.min(
+    (PAGE_WIDTH - 2 * MARGIN) / image.getWidth(),
+    (PAGE_HEIGHT - 2 * MARGIN) / image.getHeight()
+  );
+  const width = image.getWidth() * scale;
+  const height = image.getHeight() * scale;
+  const left = (PAGE_WIDTH - width) / 2;
+  const top = MARGIN;
+
+  const device = writer.beginPage([0, 0, PAGE_WIDTH, PAGE_HEIGHT]);
+  device.fillImage(image, [width, 0, 0, height, left, top], 1);
+  for (const { number, item } of markers) {
+    drawMarker(mupdf, device, font, number, left + item.box.x * width, top + (item.box.y + item.box.height / 2) * height);
+  }
+  writer.endPage();
+}
+
+// Build the PDF for a menu ({ title, sections, pages }, see formats.js) and return it as a Buffer
+export async function exportPdf(menu) {
+  const mupdf = await import('mupdf');
+  const buffer = new mupdf.Buffer();
+  const writer = new mupdf.DocumentWriter(buffer, 'pdf', 'compress');
+  const font = new mupdf.Font('Helvetica-Bold');
+  const entries = numberedItems(menu.sections);
+
+  (menu.pages || []).forEach((page, pageIndex) => {
+    if (!page.image) return;
+
+    let image;
+    try {
+      image = new mupdf.Image(Buffer.from(page.image, 'base64'));
+    } catch (error) {
+      throw new RequestError(`Page ${pageIndex + 1}: could not read the photo`, 422);
+    }
+    const markers = entries.filter(({ item }) => item.box && (item.page ?? 0) === pageIndex);
+    drawPhotoPage(mupdf, writer, font, image, markers);
+    image.destroy();
+  });
+
+  const glossary = mupdf.Document.openDocument(Buffer.from(exportHtml(menu, { print: true })), 'text/html');
+  try {
+    glossary.layout(PAGE_WIDTH - 2 * MARGIN, PAGE_HEIGHT - 2 * MARGIN, FONT_SIZE);
+    for (let index = 0; index < glossary.countPages(); index++) {
+      const page = glossary.loadPage(index);
+      const device = writer.beginPage([0, 0, PAGE_WIDTH, PAGE_HEIGHT]);
+      page.run(device, mupdf.Matrix.translate(MARGIN, MARGIN));
+      writer.endPage();
+      page.destroy();
+    }
+  } finally {
+    glossary.destroy();
+  }
+  writer.close();
+
+  // Embedded fallback fonts are large; keep only the glyphs the menu uses
+  const pdf = mupdf.Document.openDocument(buffer.asUint8Array(), 'application/pdf');
+  try {
+    pdf.subsetFonts();
+    return Buffer.from(pdf.saveToBuffer('garbage,compress').asUint8Array());
+  } finally {
+    pdf.destroy();
+  }
+}
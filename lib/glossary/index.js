@@ -0,0 +1,24 @@
+import { readFile } from 'fs/promises';
+import { fileURLToPath } from 'url';
+
+export { applyGlossary, findGlossaryEntry, matchGlossaryEntry, matchGlossaryText } from './match.js';
+
+// Edit data/glossary.json (or point GLOSSARY_FILE elsewhere) to add or reword terms
+export const DEFAULT_GLOSSARY_FILE = fileURLToPath(new URL('../../data/glossary.json', import.meta.url));
+
+// Read the glossary: { updated, entries: [...] }. GLOSSARY_FILE=off turns it off.
+// Read on every call so edits apply without a restart; returns null when the file is missing or invalid.
+export async function loadGlossary(file = process.env.GLOSSARY_FILE || DEFAULT_GLOSSARY_FILE) {
+  if (file === 'off') return null;
+
+  try {
+    const glossary = JSON.parse(await readFile(file, 'utf8'));
+    if (!Array.isArray(glossary.entries)) {
+      throw new Error('missing "entries" array');
+    }
+    return glossary;
+  } catch (error) {
+    console.log(`Glossary unavailable (${file}): ${error.message}`);
+    return null;
+  }
+}
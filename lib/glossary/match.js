@@ -0,0 +1,178 @@
+import { DEFAULT_LANGUAGE } from '../languages.js';
+import { CONFIDENCE_LEVELS, normalizeDietaryTags } from '../dietary.js';
+import { COURSE_HEADINGS, toSections } from '../sections.js';
+import { dishKey } from '../pages.js';
+
+// Glossary matching, shared by the server (overriding model output) and App.svelte (offline mode).
+// A glossary is { updated, entries: [{ term, aliases, definitions: { en, it, ... }, allergens, diet }] }.
+
+// Typos allowed in one word of this many characters. Short words must match exactly: one letter is what
+// tells "norma" from "nonna", "maccu" from "macco" or "sfince" from "sfinge".
+function allowedDistance(length) {
+  if (length <= 6) return 0;
+  if (length <= 10) return 1;
+  return 2;
+}
+
+// Levenshtein distance, giving up once it exceeds `limit`
+function editDistance(a, b, limit) {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Every term and alias as a normalized phrase, longest first so "pasta con le sarde" beats "sarde"
+const indexCache = new WeakMap();
+function glossaryIndex(glossary) {
+  if (!indexCache.has(glossary)) {
+    const phrases = (glossary?.entries || []).flatMap(entry =>
+      [entry.term, ...(entry.aliases || [])]
+        .map(dishKey)
+        .filter(Boolean)
+        .map(phrase => ({ entry, phrase, wordCount: phrase.split(' ').length }))
+    );
+    phrases.sort((a, b) => b.phrase.length - a.phrase.length);
+    indexCache.set(glossary, phrases);
+  }
+  return indexCache.get(glossary);
+}
+
+// Phrases match word for word: each word may have its own small typo, but never in its first letter
+function phraseMatches(candidate, phrase) {
+  if (candidate === phrase) return true;
+  const candidateWords = candidate.split(' ');
+  const phraseWords = phrase.split(' ');
+  return candidateWords.length === phraseWords.length && phraseWords.every((word, index) => {
+    const other = candidateWords[index];
+    const limit = allowedDistance(word.length);
+    return other === word || (limit > 0 && other[0] === word[0] && editDistance(other, word, limit) <= limit);
+  });
+}
+
+// The glossary entry for a dish name, ignoring accents, case, a translation in parentheses and small typos,
+// as { entry, exact }; `exact` is false for a match that needed typos. Null when nothing matches.
+export function matchGlossaryEntry(name, glossary) {
+  const key = dishKey(name);
+  if (!key) return null;
+
+  const phrases = glossaryIndex(glossary);
+  const exact = phrases.find(({ phrase }) => phrase === key);
+  if (exact) return { entry: exact.entry, exact: true };
+
+  const fuzzy = phrases.find(({ phrase }) => phraseMatches(key, phrase));
+  return fuzzy ? { entry: fuzzy.entry, exact: false } : null;
+}
+
+// Just the entry of matchGlossaryEntry
+export function findGlossaryEntry(name, glossary) {
+  return matchGlossaryEntry(name, glossary)?.entry || null;
+}
+
+// Union of two tag lists; the curated glossary's confidence wins when both have a tag
+function mergeTags(modelTags, curatedTags) {
+  const merged = new Map(modelTags.map(tag => [tag.tag, tag]));
+  for (const tag of curatedTags) merged.set(tag.tag, tag);
+  return [...merged.values()].sort((a, b) =>
+    CONFIDENCE_LEVELS.indexOf(a.confidence) - CONFIDENCE_LEVELS.indexOf(b.confidence)
+  );
+}
+
+// Enrich a normalized dish from the glossary. On an exact match, the entry's definition in `language`
+// replaces the model's (source "glossary") and its curated allergen and diet tags are added. A name with a
+// typo might be another dish, so a fuzzy match only fills in a definition the model left empty, and adds
+// no tags. `glossaryTerm` names the entry whenever one was used.
+export function applyGlossary(dish, glossary, language = DEFAULT_LANGUAGE) {
+  const match = glossary && matchGlossaryEntry(dish.name, glossary);
+  const definition = match?.entry.definitions?.[language];
+  const useDefinition = Boolean(definition) && (match.exact || !dish.definition);
+  if (!match || (!match.exact && !useDefinition)) return { ...dish, source: dish.source || 'model' };
+
+  const { entry, exact } = match;
+  const curated = exact ? normalizeDietaryTags(entry) : { allergens: [], diet: [] };
+
+  return {
+    ...dish,
+    definition: useDefinition ? definition : dish.definition,
+    allergens: mergeTags(dish.allergens || [], curated.allergens),
+    diet: mergeTags(dish.diet || [], curated.diet),
+    source: useDefinition ? 'glossary' : 'model',
+    glossaryTerm: entry.term
+  };
+}
+
+// Words of a menu line with their positions, so a match can be cut out of the original text
+function lineWords(line) {
+  return [...line.matchAll(/[\p{L}\p{N}'’]+/gu)]
+    .map(match => ({ key: dishKey(match[0]), start: match.index, end: match.index + match[0].length }))
+    .filter(word => word.key);
+}
+
+function isHeadingLine(line) {
+  const heading = line.toLowerCase().replace(/[^\p{L}\s']/gu, '').trim();
+  return heading && COURSE_HEADINGS.includes(heading);
+}
+
+// Offline mode: find glossary terms in menu text without asking a model. Course headings on their own
+// line start sections. Returns sections in the usual shape, each dish named as written on the menu and
+// defined from the glossary (in English when `language` has no definition). Only glossary terms are found.
+export function matchGlossaryText(text, glossary, language = DEFAULT_LANGUAGE) {
+  const phrases = glossaryIndex(glossary);
+  const sections = [{ name: null, translation: null, description: null, items: [] }];
+  const found = new Set();
+
+  for (const line of String(text).split('\n')) {
+    if (isHeadingLine(line)) {
+      sections.push({ name: line.trim(), translation: null, description: null, items: [] });
+      continue;
+    }
+
+    const words = lineWords(line);
+    const taken = new Set();
+    const lineMatches = [];
+
+    for (const { entry, phrase, wordCount } of phrases) {
+      if (found.has(entry.term)) continue;
+
+      for (let start = 0; start + wordCount <= words.length; start++) {
+        const window = words.slice(start, start + wordCount);
+        if (window.some((_word, offset) => taken.has(start + offset))) continue;
+        if (!phraseMatches(window.map(word => word.key).join(' '), phrase)) continue;
+
+        window.forEach((_word, offset) => taken.add(start + offset));
+        found.add(entry.term);
+        lineMatches.push({ entry, start: window[0].start, end: window[window.length - 1].end });
+        break;
+      }
+    }
+
+    // Longer phrases were matched first; list the dishes in the order they appear on the line
+    lineMatches.sort((a, b) => a.start - b.start);
+    for (const { entry, start, end } of lineMatches) {
+      sections[sections.length - 1].items.push({
+        name: line.slice(start, end),
+        definition: entry.definitions?.[language] || entry.definitions?.[DEFAULT_LANGUAGE] || '',
+        ...normalizeDietaryTags(entry),
+        price: null,
+        source: 'glossary',
+        glossaryTerm: entry.term
+      });
+    }
+  }
+
+  return toSections(sections);
+}
@@ -0,0 +1,604 @@
+import { timingSafeEqual } from 'crypto';
+import { analyzeMenu, streamMenuAnalysis, validateAnalyzeRequest } from './analyze.js';
+import { RequestError, toErrorResponse } from './errors.js';
+import { createImageResolverFromEnv } from './images/index.js';
+import { loadExchangeRates } from './currency.js';
+import { loadGlossary as loadGlossaryFile } from './glossary/index.js';
+import { createAnalysisStoreFromEnv } from './analysis-cache/index.js';
+import { createProviderFromEnv } from './providers/index.js';
+import { CONVERTIBLE_MEDIA_TYPES, convertUpload } from './convert.js';
+import { exportMenu, validateExportRequest } from './export/index.js';
+import { askAboutMenu, validateAskRequest } from './ask.js';
+import { MAX_PAGES } from './pages.js';
+import { createAccessControlFromEnv, createUsageLogFromEnv, estimateCost, summarizeUsage } from './access/index.js';
+import {
+  confirmCorrection,
+  createCorrectionStoreFromEnv,
+  loadCorrections,
+  submitCorrection,
+  validateCorrectionRequest
+} from './corrections/index.js';
+import {
+  QR_FORMATS,
+  createPublishedMenuStoreFromEnv,
+  pickMenuLanguage,
+  publicMenu,
+  publishMenu,
+  publishedQrCode,
+  renderMissingPage,
+  renderPublishedPage,
+  unpublishMenu,
+  updatePublishedMenu,
+  validatePublishRequest
+} from './publish/index.js';
+
+// Latest usage records listed by the usage admin endpoint
+const RECENT_USAGE_RECORDS = 20;
+
+// Send a thrown error as JSON, logging anything that isn't the client's fault under `action`
+// ("analyzing menu" logs "Error analyzing menu: ...")
+function sendError(res, error, action) {
+  if (!(error instanceof RequestError)) {
+    console.error(`Error ${action}:`, error);
+  }
+
+  const { status, body, headers = {} } = toErrorResponse(error);
+  for (const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, value);
+  }
+  res.status(status).json(body);
+}
+
+// Tell the caller where they stand against their rate limit
+function setRateLimitHeaders(res, rateLimit) {
+  if (!rateLimit) return;
+  res.setHeader('RateLimit-Limit', String(rateLimit.limit));
+  res.setHeader('RateLimit-Remaining', String(rateLimit.remaining));
+  res.setHeader('RateLimit-Reset', String(Math.max(Math.ceil((rateLimit.resetAt - Date.now()) / 1000), 0)));
+}
+
+// Record one request to a model route. Each record is also logged, so usage shows up in the server
+// logs where the usage file doesn't last (Vercel's /tmp). `usage` is { inputTokens, outputTokens, modelCalls }.
+// Runs before the response ends, since a Vercel function may be frozen right after.
+async function recordUsage(usageLog, { route, caller, status, provider, usage = null, cached = false }) {
+  const record = {
+    at: new Date().toISOString(),
+    route,
+    key: caller.key,
+    ip: caller.ip,
+    status,
+    provider: provider.name,
+    model: provider.model,
+    cached: Boolean(cached),
+    inputTokens: usage?.inputTokens || 0,
+    outputTokens: usage?.outputTokens || 0,
+    modelCalls: usage?.modelCalls || 0
+  };
+  record.costUsd = record.modelCalls > 0 ? estimateCost(record) : 0;
+  console.log('Usage:', JSON.stringify(record));
+
+  if (!usageLog) return;
+  try {
+    await usageLog.append(record);
+  } catch (error) {
+    console.log('Could not record usage:', error.message);
+  }
+}
+
+// Admin routes need `Authorization: Bearer <ADMIN_TOKEN>`; with no ADMIN_TOKEN set they are disabled
+function assertAdmin(req, adminToken) {
+  if (!adminToken) {
+    throw new RequestError('Admin endpoints are disabled. Set ADMIN_TOKEN to enable them.', 403);
+  }
+
+  const supplied = Buffer.from(String(req.headers.authorization || '').replace(/^Bearer\s+/i, ''));
+  const expected = Buffer.from(adminToken);
+  if (supplied.length !== expected.length || !timingSafeEqual(supplied, expected)) {
+    throw new RequestError('Invalid admin token', 401);
+  }
+}
+
+// Stream analysis events as NDJSON, one JSON object per line.
+// Once the 200 header is out, failures are reported as a final { type: 'error' } event instead of a status code.
+// `onFinish` gets { status, usage, cached } before the stream closes.
+async function sendAnalysisStream(res, input, options, onFinish) {
+  res.status(200);
+  res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  // Stop proxies (nginx and friends) from buffering the stream
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  let outcome = { status: 200, usage: null, cached: false };
+  const emit = event => {
+    if (event.type === 'done') outcome = { status: 200, usage: event.usage, cached: event.cached };
+    res.write(`${JSON.stringify(event)}\n`);
+  };
+
+  try {
+    await streamMenuAnalysis(input, options, emit);
+  } catch (error) {
+    console.error('Error streaming menu analysis:', error);
+    const { status, body } = toErrorResponse(error);
+    outcome = { ...outcome, status, usage: error.usage ?? outcome.usage };
+    emit({ type: 'error', status, ...body });
+  }
+  await onFinish(outcome);
+  res.end();
+}
+
+// Build the /api/analyze request handler.
+// Works as both an Express route and a Vercel function since both expose res.status().json().
+// POST /api/analyze?stream=1 streams NDJSON events instead (see streamMenuAnalysis).
+// Callers are checked against `access` (tokens and rate limits) first, and every request is recorded in `usageLog`.
+// Corrections from the `corrections` store apply to every analysis once confirmed, and to their reporters' own before.
+export function createAnalyzeHandler({
+  provider = createProviderFromEnv(),
+  cache = createAnalysisStoreFromEnv(),
+  images = process.env.DISH_IMAGES === 'off' ? null : createImageResolverFromEnv(),
+  loadRates = loadExchangeRates,
+  loadGlossary = loadGlossaryFile,
+  corrections = createCorrectionStoreFromEnv(),
+  access = createAccessControlFromEnv(),
+  usageLog = createUsageLogFromEnv()
+} = {}) {
+  return async function handleAnalyze(req, res) {
+    // Only allow POST
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    let caller = { key: null, ip: access.clientIp(req) };
+    try {
+      caller = access.identify(req);
+      setRateLimitHeaders(res, access.count(caller));
+
+      const input = validateAnalyzeRequest(req.body);
+      const [exchangeRates, glossary, callerCorrections] = await Promise.all([
+        loadRates(),
+        loadGlossary(),
+        loadCorrections(corrections, caller)
+      ]);
+      const options = { provider, cache, images, exchangeRates, glossary, corrections: callerCorrections };
+
+      if (['1', 'true'].includes(req.query?.stream)) {
+        return await sendAnalysisStream(res, input, options, outcome =>
+          recordUsage(usageLog, { route: 'analyze', caller, provider, ...outcome })
+        );
+      }
+
+      const response = await analyzeMenu(input, options);
+      await recordUsage(usageLog, { route: 'analyze', caller, status: 200, provider, usage: response.usage, cached: response.cached });
+      res.json({ success: true, ...response });
+    } catch (error) {
+      await recordUsage(usageLog, { route: 'analyze', caller, status: toErrorResponse(error).status, provider, usage: error.usage });
+      sendError(res, error, 'analyzing menu');
+    }
+  };
+}
+
+// Build the /api/convert handler: turns a PDF or HEIC upload ({ image, mediaType }) into
+// JPEG pages { pages: [{ image, mediaType, width, height }] } the app can preview and send to /api/analyze.
+export function createConvertHandler() {
+  return async function handleConvert(req, res) {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+      const { image, mediaType } = req.body || {};
+      if (!image || !mediaType) {
+        throw new RequestError('Missing required fields: image and mediaType');
+      }
+      if (!CONVERTIBLE_MEDIA_TYPES.includes(mediaType)) {
+        throw new RequestError('Invalid media type. Must be PDF, HEIC or HEIF');
+      }
+
+      res.json({ pages: await convertUpload({ image, mediaType }, { maxPages: MAX_PAGES }) });
+    } catch (error) {
+      sendError(res, error, 'converting upload');
+    }
+  };
+}
+
+// Build the /api/ask handler: POST a follow-up question about the analyzed menu, returns { answer, usage }.
+// Guarded and recorded like /api/analyze.
+export function createAskHandler({
+  provider = createProviderFromEnv(),
+  access = createAccessControlFromEnv(),
+  usageLog = createUsageLogFromEnv()
+} = {}) {
+  return async function handleAsk(req, res) {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    let caller = { key: null, ip: access.clientIp(req) };
+    try {
+      caller = access.identify(req);
+      setRateLimitHeaders(res, access.count(caller));
+
+      const { answer, usage } = await askAboutMenu(validateAskRequest(req.body), { provider });
+      await recordUsage(usageLog, {
+        route: 'ask',
+        caller,
+        status: 200,
+        provider,
+        usage: { inputTokens: usage?.input_tokens, outputTokens: usage?.output_tokens, modelCalls: 1 }
+      });
+      res.json({ success: true, answer, usage });
+    } catch (error) {
+      await recordUsage(usageLog, { route: 'ask', caller, status: toErrorResponse(error).status, provider, usage: error.usage });
+      sendError(res, error, 'answering question');
+    }
+  };
+}
+
+// Build the /api/corrections handler: POST { name, language, correctedName?, definition?, wrong? } records a
+// user's correction to an analyzed dish and returns { correction: { id, confirmed, reports } }. Callers go
+// through `access` like the model routes, since their corrections change their own analyses.
+export function createCorrectionsHandler({
+  corrections = createCorrectionStoreFromEnv(),
+  access = createAccessControlFromEnv()
+} = {}) {
+  return async function handleCorrections(req, res) {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+      const caller = access.identify(req);
+      setRateLimitHeaders(res, access.count(caller));
+
+      if (!corrections) {
+        throw new RequestError('Corrections are turned off (CORRECTIONS=off)', 404);
+      }
+
+      const { id, confirmed, reports } = await submitCorrection(corrections, validateCorrectionRequest(req.body), caller);
+      console.log(`Correction ${id} recorded (${reports} report${reports === 1 ? '' : 's'}${confirmed ? ', confirmed' : ''})`);
+      res.json({ success: true, correction: { id, confirmed, reports } });
+    } catch (error) {
+      sendError(res, error, 'recording correction');
+    }
+  };
+}
+
+// Build the /api/export handler: POST { format, title, sections, pages } returns the menu as a
+// PDF, standalone HTML page, Markdown or CSV download
+export function createExportHandler() {
+  return async function handleExport(req, res) {
+    if (req.method !== 'POST') {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+      const { body, mediaType, filename } = await exportMenu(validateExportRequest(req.body));
+      res.setHeader('Content-Type', mediaType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+      res.status(200).send(body);
+    } catch (error) {
+      sendError(res, error, 'exporting menu');
+    }
+  };
+}
+
+// Build the /api/admin/cache handler for the analysis cache:
+//   GET                  list cached analyses (newest first)
+//   DELETE ?key=<hash>   remove one cached analysis
+export function createCacheAdminHandler({
+  cache = createAnalysisStoreFromEnv(),
+  adminToken = process.env.ADMIN_TOKEN
+} = {}) {
+  return async function handleCacheAdmin(req, res) {
+    try {
+      assertAdmin(req, adminToken);
+
+      if (!cache) {
+        throw new RequestError('Analysis cache is turned off (ANALYSIS_CACHE=off)', 404);
+      }
+
+      if (req.method === 'GET') {
+        const entries = await cache.list();
+        entries.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+        return res.json({ store: cache.name, count: entries.length, entries });
+      }
+
+      if (req.method === 'DELETE') {
+        const key = req.query?.key;
+        if (!key) {
+          throw new RequestError('Missing required query parameter: key');
+        }
+        if (!(await cache.delete(key))) {
+          throw new RequestError(`No cached analysis with key ${key}`, 404);
+        }
+        return res.json({ success: true, deleted: key });
+      }
+
+      res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+      sendError(res, error, 'managing analysis cache');
+    }
+  };
+}
+
+// Build the /api/admin/corrections handler for user corrections:
+//   GET                 list corrections (most recently reported first)
+//   POST ?id=<id>       confirm a correction, so analyses use it right away
+//   DELETE ?id=<id>     remove a correction
+export function createCorrectionsAdminHandler({
+  corrections = createCorrectionStoreFromEnv(),
+  adminToken = process.env.ADMIN_TOKEN
+} = {}) {
+  return async function handleCorrectionsAdmin(req, res) {
+    try {
+      assertAdmin(req, adminToken);
+
+      if (!corrections) {
+        throw new RequestError('Corrections are turned off (CORRECTIONS=off)', 404);
+      }
+
+      if (req.method === 'GET') {
+        const records = await corrections.list();
+        records.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+        // Reporter hashes mean nothing to an admin; the count is enough
+        const entries = records.map(({ reporters: _reporters, ...record }) => record);
+        return res.json({ store: corrections.name, count: entries.length, entries });
+      }
+
+      if (req.method !== 'POST' && req.method !== 'DELETE') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+
+      const id = req.query?.id;
+      if (!id) {
+        throw new RequestError('Missing required query parameter: id');
+      }
+
+      if (req.method === 'POST') {
+        const record = await confirmCorrection(corrections, id);
+        if (!record) {
+          throw new RequestError(`No correction with id ${id}`, 404);
+        }
+        return res.json({ success: true, confirmed: id });
+      }
+
+      if (!(await corrections.delete(id))) {
+        throw new RequestError(`No correction with id ${id}`, 404);
+      }
+      res.json({ success: true, deleted: id });
+    } catch (error) {
+      sendError(res, error, 'managing corrections');
+    }
+  };
+}
+
+// Build the /api/admin/usage handler: GET ?since=YYYY-MM-DD summarizes the recorded requests to the model
+// routes (totals per caller, route and day) and lists the latest ones, with the access settings in force
+export function createUsageAdminHandler({
+  usageLog = createUsageLogFromEnv(),
+  access = createAccessControlFromEnv(),
+  adminToken = process.env.ADMIN_TOKEN
+} = {}) {
+  return async function handleUsageAdmin(req, res) {
+    try {
+      assertAdmin(req, adminToken);
+
+      if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+      }
+      if (!usageLog) {
+        throw new RequestError('Usage accounting is turned off (USAGE_LOG=off)', 404);
+      }
+
+      const since = req.query?.since || null;
+      if (since && !/^\d{4}-\d{2}-\d{2}/.test(since)) {
+        throw new RequestError('since must be a date like 2026-10-01');
+      }
+
+      const records = await usageLog.list({ since });
+      res.json({
+        store: usageLog.name,
+        since,
+        access: access.settings,
+        ...summarizeUsage(records),
+        recent: records.slice(-RECENT_USAGE_RECORDS).reverse()
+      });
+    } catch (error) {
+      sendError(res, error, 'summarizing usage');
+    }
+  };
+}
+
+// Where published menu links point: PUBLIC_URL when set (needed behind a proxy that rewrites the host),
+// otherwise the address this request came in on
+function publicBaseUrl(req, publicUrl) {
+  if (publicUrl) return publicUrl.replace(/\/+$/, '');
+  return `${req.protocol || 'http'}://${req.headers.host}`;
+}
+
+function publishedLinks(req, id, publicUrl) {
+  const url = `${publicBaseUrl(req, publicUrl)}/menu/${id}`;
+  return { url, qrUrl: `${url}/qr.png` };
+}
+
+function assertPublishing(menus) {
+  if (!menus) {
+    throw new RequestError('Publishing is turned off (PUBLISHED_MENUS=off)', 404);
+  }
+}
+
+// Build the /api/publish handler for restaurant pages:
+//   POST { title, language, languages?, sections }   publish a reviewed menu; returns its id, links and edit token
+//   PUT ?id=<id>, same body                          replace a published menu, keeping its link
+//   DELETE ?id=<id>                                  take a menu down
+//   GET ?id=<id>                                     the published menu as JSON, to load it back for editing
+// PUT and DELETE need the edit token from POST in an X-Edit-Token header. POST and PUT translate the menu
+// into its other languages with the model: they need an access token, count against the publishing limit
+// on top of the usual one (see access.countPublish), and are recorded like /api/analyze.
+export function createPublishHandler({
+  menus = createPublishedMenuStoreFromEnv(),
+  provider = createProviderFromEnv(),
+  access = createAccessControlFromEnv(),
+  usageLog = createUsageLogFromEnv(),
+  publicUrl = process.env.PUBLIC_URL
+} = {}) {
+  return async function handlePublish(req, res) {
+    if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+      return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    const id = req.query?.id;
+    const editToken = req.headers['x-edit-token'];
+    let caller = { key: null, ip: access.clientIp(req) };
+    try {
+      assertPublishing(menus);
+      if (req.method !== 'POST' && !id) {
+        throw new RequestError('Missing required query parameter: id');
+      }
+
+      if (req.method === 'GET') {
+        const menu = await menus.get(id);
+        if (!menu) {
+          throw new RequestError(`No published menu with id ${id}`, 404);
+        }
+        return res.json({ success: true, menu: publicMenu(menu), ...publishedLinks(req, id, publicUrl) });
+      }
+
+      if (req.method === 'DELETE') {
+        await unpublishMenu(menus, id, editToken);
+        console.log(`Published menu ${id} taken down`);
+        return res.json({ success: true, deleted: id });
+      }
+
+      caller = access.identify(req);
+      setRateLimitHeaders(res, access.countPublish(caller));
+      access.count(caller);
+
+      const input = validatePublishRequest(req.body);
+      // Only a new menu gets an edit token; an update keeps the one the owner has
+      const { menu, usage, editToken: newEditToken = null } = req.method === 'POST'
+        ? await publishMenu(menus, input, { provider })
+        : await updatePublishedMenu(menus, id, editToken, input, { provider });
+      await recordUsage(usageLog, { route: 'publish', caller, status: 200, provider, usage });
+      console.log(`Published menu ${menu.id} (${Object.keys(menu.languages).join(', ')})`);
+
+      res.json({
+        success: true,
+        id: menu.id,
+        languages: Object.keys(menu.languages),
+        updatedAt: menu.updatedAt,
+        ...publishedLinks(req, menu.id, publicUrl),
+        ...(newEditToken ? { editToken: newEditToken } : {})
+      });
+    } catch (error) {
+      if (req.method === 'POST' || req.method === 'PUT') {
+        await recordUsage(usageLog, { route: 'publish', caller, status: toErrorResponse(error).status, provider, usage: error.usage });
+      }
+      sendError(res, error, 'publishing menu');
+    }
+  };
+}
+
+// Build the /api/admin/published handler, to oversee what restaurants publish:
+//   GET                 list published menus (most recently updated first)
+//   DELETE ?id=<id>     take a menu down without its edit token
+export function createPublishedAdminHandler({
+  menus = createPublishedMenuStoreFromEnv(),
+  adminToken = process.env.ADMIN_TOKEN
+} = {}) {
+  return async function handlePublishedAdmin(req, res) {
+    try {
+      assertAdmin(req, adminToken);
+      assertPublishing(menus);
+
+      if (req.method === 'GET') {
+        const entries = await menus.list();
+        entries.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+        return res.json({ store: menus.name, count: entries.length, entries });
+      }
+
+      if (req.method === 'DELETE') {
+        const id = req.query?.id;
+        if (!id) {
+          throw new RequestError('Missing required query parameter: id');
+        }
+        if (!(await menus.delete(id))) {
+          throw new RequestError(`No published menu with id ${id}`, 404);
+        }
+        return res.json({ success: true, deleted: id });
+      }
+
+      res.status(405).json({ error: 'Method not allowed' });
+    } catch (error) {
+      sendError(res, error, 'managing published menus');
+    }
+  };
+}
+
+// Visitors get a page, not JSON, when a link no longer works
+function sendPageError(res, error) {
+  if (!(error instanceof RequestError)) {
+    console.error('Error showing published menu:', error);
+  }
+  const { status, body } = toErrorResponse(error);
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.status(status).send(renderMissingPage(status === 404 ? 'This menu is no longer published.' : body.error));
+}
+
+// Build the handler for GET /menu/:id, the read-only page a published menu's link and QR code open.
+// ?lang=<code> picks a language; otherwise the visitor's Accept-Language decides.
+export function createPublishedPageHandler({ menus = createPublishedMenuStoreFromEnv() } = {}) {
+  return async function handlePublishedPage(req, res) {
+    try {
+      assertPublishing(menus);
+      const id = req.params?.id ?? req.query?.id;
+      const menu = await menus.get(id);
+      if (!menu) {
+        throw new RequestError(`No published menu with id ${id}`, 404);
+      }
+
+      const language = pickMenuLanguage(menu, req.query?.lang, req.headers['accept-language']);
+      res.setHeader('Content-Type', 'text/html; charset=utf-8');
+      // Short, so an owner's edits show up within a minute
+      res.setHeader('Cache-Control', 'public, max-age=60');
+      res.setHeader('Vary', 'Accept-Language');
+      res.status(200).send(renderPublishedPage(menu, language));
+    } catch (error) {
+      sendPageError(res, error);
+    }
+  };
+}
+
+// Build the handler for GET /menu/:id/qr.png (or .svg): a QR code of the menu's link, with ?lang=<code>
+// to open that language whatever the visitor's phone is set to
+export function createPublishedQrHandler({
+  menus = createPublishedMenuStoreFromEnv(),
+  publicUrl = process.env.PUBLIC_URL
+} = {}) {
+  return async function handlePublishedQr(req, res) {
+    try {
+      assertPublishing(menus);
+      const id = req.params?.id ?? req.query?.id;
+      const format = req.params?.format ?? req.query?.format ?? 'png';
+      if (!QR_FORMATS[format]) {
+        throw new RequestError(`Unknown QR code format "${format}". Use ${Object.keys(QR_FORMATS).join(' or ')}`);
+      }
+
+      const menu = await menus.get(id);
+      if (!menu) {
+        throw new RequestError(`No published menu with id ${id}`, 404);
+      }
+      const lang = req.query?.lang;
+      if (lang !== undefined && !Object.hasOwn(menu.languages, lang)) {
+        throw new RequestError(`This menu is not published in "${lang}"`, 404);
+      }
+
+      const { url } = publishedLinks(req, id, publicUrl);
+      res.setHeader('Content-Type', QR_FORMATS[format]);
+      res.setHeader('Cache-Control', 'public, max-age=86400');
+      res.status(200).send(await publishedQrCode(lang ? `${url}?lang=${encodeURIComponent(lang)}` : url, format));
+    } catch (error) {
+      sendError(res, error, 'drawing QR code');
+    }
+  };
+}
@@ -0,0 +1,84 @@
+// Edits the app makes to a photo before sending it, shared by the app (which applies them) and the server
+// (which records them and maps dish boxes back). A transform is { orientation, rotate, crop }:
+//   orientation  the EXIF orientation (1-8) that was undone to show the photo upright, as every viewer does
+//   rotate       clockwise quarter turns the user added, in degrees (0, 90, 180 or 270)
+//   crop         the part kept, as fractions of the rotated photo { x, y, width, height }, or null for all of it
+// The photo sent is the upright photo, rotated, then cropped. The "source" is the upright photo.
+
+export const ROTATIONS = [0, 90, 180, 270];
+
+// Crops smaller than this (as a fraction of either side) are treated as a stray click
+export const MIN_CROP_SIZE = 0.02;
+
+// EXIF orientation of a JPEG (1 when there is none), from its first bytes (64 KB is plenty)
+export function readExifOrientation(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (view.byteLength < 4 || view.getUint16(0) !== 0xffd8) return 1;
+
+  let offset = 2;
+  while (offset + 4 <= view.byteLength) {
+    const marker = view.getUint16(offset);
+    const length = view.getUint16(offset + 2);
+    // APP1 holding "Exif\0\0"
+    if (marker === 0xffe1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+      return readTiffOrientation(view, offset + 10);
+    }
+    // Start of scan: the metadata is over
+    if (marker === 0xffda || (marker & 0xff00) !== 0xff00) return 1;
+    offset += 2 + length;
+  }
+  return 1;
+}
+
+function readTiffOrientation(view, tiff) {
+  if (tiff + 8 > view.byteLength) return 1;
+  const little = view.getUint16(tiff) === 0x4949;
+  const entries = tiff + view.getUint32(tiff + 4, little);
+  if (entries + 2 > view.byteLength) return 1;
+
+  const count = view.getUint16(entries, little);
+  for (let index = 0; index < count; index++) {
+    const entry = entries + 2 + index * 12;
+    if (entry + 12 > view.byteLength) return 1;
+    if (view.getUint16(entry, little) === 0x0112) {
+      const orientation = view.getUint16(entry + 8, little);
+      return orientation >= 1 && orientation <= 8 ? orientation : 1;
+    }
+  }
+  return 1;
+}
+
+export function isIdentityTransform(transform) {
+  return !transform || (!transform.rotate && !transform.crop);
+}
+
+// Size of a width x height image after `rotate` degrees
+export function rotatedSize(width, height, rotate) {
+  return rotate === 90 || rotate === 270 ? { width: height, height: width } : { width, height };
+}
+
+// A point in the rotated photo (fractions) back in the upright photo
+function unrotatePoint(u, v, rotate) {
+  switch (rotate) {
+    case 90: return [v, 1 - u];
+    case 180: return [1 - u, 1 - v];
+    case 270: return [1 - v, u];
+    default: return [u, v];
+  }
+}
+
+// Map a box on the photo that was sent onto the upright source photo, undoing the crop and then the rotation
+export function mapBoxToSource(box, transform) {
+  if (!box || isIdentityTransform(transform)) return box;
+
+  const crop = transform.crop || { x: 0, y: 0, width: 1, height: 1 };
+  const corners = [
+    [box.x, box.y],
+    [box.x + box.width, box.y + box.height]
+  ].map(([x, y]) => unrotatePoint(crop.x + x * crop.width, crop.y + y * crop.height, transform.rotate || 0));
+
+  const round = value => Math.round(value * 1e4) / 1e4;
+  const [left, right] = [corners[0][0], corners[1][0]].sort((a, b) => a - b);
+  const [top, bottom] = [corners[0][1], corners[1][1]].sort((a, b) => a - b);
+  return { x: round(left), y: round(top), width: round(right - left), height: round(bottom - top) };
+}
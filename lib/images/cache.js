@@ -0,0 +1,65 @@
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { dirname } from 'path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cache of dish image lookups. Hits and misses are both stored (misses expire sooner) so the same
+// "Arancini" search isn't repeated on every request. With a `file`, entries persist across restarts.
+export function createImageCache({ file = null, hitTtlMs = 30 * DAY_MS, missTtlMs = DAY_MS, now = Date.now } = {}) {
+  let entries = null;
+  let loading = null;
+  let dirty = false;
+  let writeFailed = false;
+  let writing = Promise.resolve();
+
+  async function load() {
+    if (entries) return entries;
+    loading ||= (async () => {
+      if (!file) return {};
+      try {
+        return JSON.parse(await readFile(file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.log(`Ignoring unreadable image cache ${file}: ${error.message}`);
+        }
+        return {};
+      }
+    })();
+    entries = await loading;
+    return entries;
+  }
+
+  return {
+    // Returns undefined when nothing fresh is stored, otherwise the stored result (null for a known miss)
+    async get(key) {
+      const entry = (await load())[key];
+      if (!entry) return undefined;
+
+      const ttl = entry.value ? hitTtlMs : missTtlMs;
+      if (now() - entry.storedAt > ttl) return undefined;
+      return entry.value;
+    },
+
+    async set(key, value) {
+      (await load())[key] = { value, storedAt: now() };
+      dirty = true;
+    },
+
+    // Write pending entries to disk, one write at a time.
+    // Failures (e.g. a read-only serverless disk) leave the cache in memory only.
+    flush() {
+      writing = writing.then(async () => {
+        if (!file || !dirty || writeFailed) return;
+        dirty = false;
+        try {
+          await mkdir(dirname(file), { recursive: true });
+          await writeFile(file, JSON.stringify(entries));
+        } catch (error) {
+          writeFailed = true;
+          console.log(`Image cache is memory-only, could not write ${file}: ${error.message}`);
+        }
+      });
+      return writing;
+    }
+  };
+}
@@ -0,0 +1,131 @@
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+import { createLimiter } from '../concurrency.js';
+import { dishVariantKey } from '../pages.js';
+import { createImageCache } from './cache.js';
+import { createLocalSource } from './local.js';
+import { createWikipediaSource } from './wikipedia.js';
+
+export { createImageCache, createLocalSource, createWikipediaSource };
+
+export const DEFAULT_IMAGE_DIR = fileURLToPath(new URL('../../public/dish-images', import.meta.url));
+export const DEFAULT_CACHE_FILE = fileURLToPath(new URL('../../.cache/dish-images.json', import.meta.url));
+export const DEFAULT_LOOKUP_TIMEOUT_MS = 8000;
+
+// Cache key for a dish name in any script: a hash of the normalized name, so "担担面" and "小笼包" don't share one
+function cacheKey(source, dishName) {
+  const name = dishVariantKey(dishName) || String(dishName).trim();
+  return `${source.name}:${createHash('sha256').update(name).digest('hex').slice(0, 24)}`;
+}
+
+// Resolve dish names to images by trying each source in order.
+// Lookups are cached per source, misses included; sources marked `cacheable: false` (cheap local ones) are always asked.
+// A dish gets `timeoutMs` over all sources; past that it goes without an image, so one slow source can't hold up
+// the analysis (a late answer is still cached for next time).
+export function createImageResolver({ sources, cache = createImageCache(), concurrency = 3, timeoutMs = DEFAULT_LOOKUP_TIMEOUT_MS }) {
+  async function findInSource(source, dishName) {
+    if (source.cacheable === false) return source.find(dishName);
+
+    const key = cacheKey(source, dishName);
+    const cached = await cache.get(key);
+    if (cached !== undefined) return cached;
+
+    // A thrown error (e.g. every request timed out) is not a real miss, so it isn't cached
+    const image = await source.find(dishName);
+    await cache.set(key, image);
+    return image;
+  }
+
+  // Shared by every caller, so streamed lookups and batch lookups together stay within `concurrency`
+  const limit = createLimiter(concurrency);
+
+  async function trySources(dishName) {
+    for (const source of sources) {
+      try {
+        const image = await findInSource(source, dishName);
+        if (image) return image;
+      } catch (error) {
+        console.log(`✗ ${source.name} image lookup failed for ${dishName}:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  async function resolveNow(dishName) {
+    let timer;
+    const deadline = new Promise(resolve => {
+      timer = setTimeout(() => {
+        console.log(`✗ Image lookup for ${dishName} gave up after ${timeoutMs}ms`);
+        resolve(null);
+      }, timeoutMs);
+    });
+    try {
+      return await Promise.race([trySources(dishName), deadline]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  return {
+    resolve: dishName => limit(() => resolveNow(dishName)),
+
+    // Resolve many dishes, then persist the cache once
+    async resolveAll(dishNames) {
+      const images = await Promise.all(dishNames.map(dishName => limit(() => resolveNow(dishName))));
+      await cache.flush();
+      return images;
+    },
+
+    flush: () => cache.flush()
+  };
+}
+
+// Build the resolver from environment variables:
+// IMAGE_SOURCES (ordered, comma-separated: local, wikipedia), IMAGE_DIR, IMAGE_CACHE_FILE ("off" for memory-only),
+// IMAGE_FETCH_TIMEOUT_MS, IMAGE_LOOKUP_TIMEOUT_MS and IMAGE_CONCURRENCY.
+export function createImageResolverFromEnv(env = process.env) {
+  const sourceNames = (env.IMAGE_SOURCES || 'local,wikipedia').split(',').map(name => name.trim()).filter(Boolean);
+
+  const sources = sourceNames.map(name => {
+    switch (name) {
+      case 'local':
+        return createLocalSource({ dir: env.IMAGE_DIR || DEFAULT_IMAGE_DIR });
+      case 'wikipedia':
+        return createWikipediaSource({ timeoutMs: Number(env.IMAGE_FETCH_TIMEOUT_MS) || 4000 });
+      default:
+        throw new Error(`Unknown image source "${name}" in IMAGE_SOURCES. Use "local" and/or "wikipedia".`);
+    }
+  });
+
+  // Vercel functions can only write to /tmp
+  const defaultCacheFile = env.VERCEL ? '/tmp/dish-images.json' : DEFAULT_CACHE_FILE;
+  const cacheFile = env.IMAGE_CACHE_FILE === 'off' ? null : env.IMAGE_CACHE_FILE || defaultCacheFile;
+
+  return createImageResolver({
+    sources,
+    cache: createImageCache({ file: cacheFile }),
+    concurrency: Number(env.IMAGE_CONCURRENCY) || 3,
+    timeoutMs: Number(env.IMAGE_LOOKUP_TIMEOUT_MS) || DEFAULT_LOOKUP_TIMEOUT_MS
+  });
+}
+
+// Attach imageUrl and image credits to every dish that has a match; failures leave the dish untouched
+export async function addDishImages(dishes, resolver) {
+  console.log(`Fetching images for ${dishes.length} dishes...`);
+
+  const images = await resolver.resolveAll(dishes.map(dish => dish.name));
+  const dishesWithImages = dishes.map((dish, index) => {
+    const image = images[index];
+    if (!image) {
+      console.log(`✗ No image for ${dish.name}`);
+      return dish;
+    }
+
+    console.log(`✓ Found image for ${dish.name} (${image.source})`);
+    const { url, ...credit } = image;
+    return { ...dish, imageUrl: url, image: credit };
+  });
+  console.log('Image fetching complete');
+
+  return dishesWithImages;
+}
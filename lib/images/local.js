@@ -0,0 +1,71 @@
+import { readdir, readFile } from 'fs/promises';
+import { join } from 'path';
+
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.gif'];
+
+// "Pasta con le Sarde" -> "pasta-con-le-sarde"
+function slugify(text) {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+// Names worth trying for "Sarde a Beccafico (Stuffed Sardines)": the full name, the original and the translation
+function candidateSlugs(dishName) {
+  const original = dishName.replace(/\(.*?\)/g, '').trim();
+  const translations = [...dishName.matchAll(/\((.*?)\)/g)].map(match => match[1]);
+  return [...new Set([dishName, original, ...translations].map(slugify).filter(Boolean))];
+}
+
+// Curated photos from a local directory, e.g. public/dish-images/arancini.jpg.
+// An optional credits.json maps file names to { attribution, license, licenseUrl }.
+export function createLocalSource({ dir, urlPrefix = '/dish-images' }) {
+  async function listImages() {
+    try {
+      const files = await readdir(dir);
+      return new Map(
+        files
+          .filter(file => IMAGE_EXTENSIONS.some(extension => file.toLowerCase().endsWith(extension)))
+          .map(file => [file.slice(0, file.lastIndexOf('.')).toLowerCase(), file])
+      );
+    } catch (error) {
+      return new Map();
+    }
+  }
+
+  async function readCredits() {
+    try {
+      return JSON.parse(await readFile(join(dir, 'credits.json'), 'utf8'));
+    } catch (error) {
+      return {};
+    }
+  }
+
+  return {
+    name: 'local',
+    // Reading a directory is cheap, and new curated files should show up immediately
+    cacheable: false,
+
+    async find(dishName) {
+      const images = await listImages();
+      const slug = candidateSlugs(dishName).find(candidate => images.has(candidate));
+      if (!slug) return null;
+
+      const file = images.get(slug);
+      const credits = (await readCredits())[file] || {};
+      return {
+        url: `${urlPrefix}/${encodeURIComponent(file)}`,
+        source: 'local',
+        title: dishName,
+        pageUrl: null,
+        attribution: credits.attribution || null,
+        license: credits.license || null,
+        licenseUrl: credits.licenseUrl || null
+      };
+    }
+  };
+}
@@ -0,0 +1,92 @@
+// Dish photos from Wikipedia page thumbnails, with license info from Wikimedia Commons
+
+const API_URL = 'https://en.wikipedia.org/w/api.php';
+const SUMMARY_URL = 'https://en.wikipedia.org/api/rest_v1/page/summary/';
+
+// File name from an upload.wikimedia.org URL (thumbnail URLs end in /<file>/<size>px-<file>)
+function fileNameFromUrl(url) {
+  const parts = new URL(url).pathname.split('/');
+  const name = parts.includes('thumb') ? parts[parts.length - 2] : parts[parts.length - 1];
+  return decodeURIComponent(name);
+}
+
+function stripHtml(html) {
+  return String(html || '').replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+export function createWikipediaSource({ timeoutMs = 4000, fetch = globalThis.fetch } = {}) {
+  // Every request gets its own timeout so one slow lookup can't stall the whole analysis
+  async function getJson(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+    if (!response.ok) return null;
+    return response.json();
+  }
+
+  // Best-effort license lookup; a missing license never blocks the image
+  async function getLicense(imageUrl) {
+    try {
+      const title = `File:${fileNameFromUrl(imageUrl)}`;
+      const data = await getJson(`${API_URL}?action=query&titles=${encodeURIComponent(title)}&prop=imageinfo&iiprop=extmetadata&format=json&origin=*`);
+      const page = Object.values(data?.query?.pages || {})[0];
+      const metadata = page?.imageinfo?.[0]?.extmetadata;
+      if (!metadata) return {};
+
+      const artist = stripHtml(metadata.Artist?.value);
+      return {
+        attribution: artist ? `${artist} via Wikimedia Commons` : 'Wikimedia Commons',
+        license: metadata.LicenseShortName?.value || null,
+        licenseUrl: metadata.LicenseUrl?.value || null
+      };
+    } catch (e) {
+      return {};
+    }
+  }
+
+  return {
+    name: 'wikipedia',
+
+    // Search Wikipedia for a dish and return the first page thumbnail found.
+    // Throws when every search failed outright, so timeouts aren't remembered as misses.
+    async find(dishName) {
+      // Try multiple search strategies
+      const searchTerms = [...new Set([
+        dishName,
+        dishName + ' food',
+        dishName + ' dish',
+        dishName.replace(/[()]/g, '').trim()
+      ])];
+
+      let failures = 0;
+
+      for (const term of searchTerms) {
+        try {
+          // Use Wikipedia's search API to find the correct page title
+          const searchData = await getJson(`${API_URL}?action=query&list=search&srsearch=${encodeURIComponent(term)}&format=json&origin=*&srlimit=3`);
+          if (!searchData?.query?.search?.length) continue;
+
+          // Try each search result
+          for (const result of searchData.query.search) {
+            const summaryData = await getJson(SUMMARY_URL + encodeURIComponent(result.title));
+            if (summaryData?.thumbnail?.source) {
+              return {
+                url: summaryData.thumbnail.source,
+                source: 'wikipedia',
+                title: summaryData.title || result.title,
+                pageUrl: summaryData.content_urls?.desktop?.page || null,
+                attribution: 'Wikipedia',
+                license: null,
+                licenseUrl: null,
+                ...(await getLicense(summaryData.originalimage?.source || summaryData.thumbnail.source))
+              };
+            }
+          }
+        } catch (e) {
+          // Timeout or network error - continue to next search term
+          failures++;
+          if (failures === searchTerms.length) throw e;
+        }
+      }
+      return null;
+    }
+  };
+}
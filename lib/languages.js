@@ -0,0 +1,31 @@
+// Languages definitions can be written in. Shared by the server prompt and the App.svelte picker.
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LANGUAGES = [
+  { code: 'en', name: 'English', nativeName: 'English', reader: 'American diner' },
+  { code: 'it', name: 'Italian', nativeName: 'Italiano', reader: 'Italian diner' },
+  { code: 'de', name: 'German', nativeName: 'Deutsch', reader: 'German-speaking diner' },
+  { code: 'fr', name: 'French', nativeName: 'Français', reader: 'French-speaking diner' },
+  { code: 'es', name: 'Spanish', nativeName: 'Español', reader: 'Spanish-speaking diner' },
+  { code: 'pt', name: 'Portuguese', nativeName: 'Português', reader: 'Portuguese-speaking diner' },
+  { code: 'nl', name: 'Dutch', nativeName: 'Nederlands', reader: 'Dutch-speaking diner' },
+  { code: 'ja', name: 'Japanese', nativeName: '日本語', reader: 'Japanese diner' },
+  { code: 'zh', name: 'Chinese', nativeName: '中文', reader: 'Chinese-speaking diner' }
+];
+
+// Look up a language by code ("de", "de-AT", "DE"); returns undefined when unsupported
+export function findLanguage(code) {
+  if (!code || typeof code !== 'string') return undefined;
+  const base = code.trim().toLowerCase().split(/[-_]/)[0];
+  return LANGUAGES.find(language => language.code === base);
+}
+
+// Pick the best supported language for a list of browser preferences (navigator.languages)
+export function matchLanguage(preferences = []) {
+  for (const preference of preferences) {
+    const language = findLanguage(preference);
+    if (language) return language.code;
+  }
+  return DEFAULT_LANGUAGE;
+}
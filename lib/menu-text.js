@@ -0,0 +1,45 @@
+// Text menus: pasted menu text and saved HTML menu pages are analyzed without an image
+
+// Longest menu text sent to the model, after HTML is stripped
+export const MAX_TEXT_LENGTH = 50000;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  euro: '€', pound: '£', yen: '¥', cent: '¢', middot: '·', ndash: '–', mdash: '—', hellip: '…',
+  rsquo: '’', lsquo: '‘', rdquo: '”', ldquo: '“', laquo: '«', raquo: '»', deg: '°'
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      return Number.isFinite(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+// Reduce a saved menu web page to its readable text, one block element per line.
+// Scripts, styles and other invisible content are dropped so the model only sees the menu.
+export function htmlToText(html) {
+  const text = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|li|tr|h[1-6]|section|article|header|footer|ul|ol|table|dt|dd)\b[^>]*>/gi, '\n')
+    .replace(/<\/t[dh]\s*>/gi, '\t')
+    .replace(/<[^>]+>/g, '');
+
+  return normalizeMenuText(decodeEntities(text));
+}
+
+// Collapse runs of spaces and blank lines left over from pasting or HTML layout
+export function normalizeMenuText(text) {
+  return String(text)
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/[ \t\u00a0]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
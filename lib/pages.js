@@ -0,0 +1,93 @@
+// Multi-page menus: each photo is analyzed on its own, then the page results are merged into one menu
+
+export const MAX_PAGES = 10;
+
+// Letters and digits in any script, without accents or case: "Pâté" and "pate" match, and "担担面" keeps its characters
+function normalizeName(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+// Key for a dish name without a translation in parentheses: "Caponata (Eggplant Stew)" and "caponata" match.
+// Empty for names with no letters or digits, which never match anything.
+export function dishKey(name) {
+  return normalizeName(String(name || '').replace(/\(.*?\)/g, ''));
+}
+
+// Key for the whole name, parentheses included: "Arancini (al ragù)" and "Arancini (al burro)" differ
+export function dishVariantKey(name) {
+  return normalizeName(name);
+}
+
+// Key for matching section headings across pages; unnamed sections all share one key
+export function sectionKey(name) {
+  return name ? dishKey(name) : '';
+}
+
+// Dishes seen so far, for spotting repeats. The same full name always repeats a dish. Across pages a name
+// also repeats the same name with a translation in parentheses, but parenthetical variants listed on one
+// page stay distinct, and so do two different variants on two pages. Nameless keys never repeat.
+export function createDishIndex() {
+  const dishesByKey = new Map();
+
+  return {
+    // The value added for the dish `name` on `page` repeats, or undefined
+    find(name, page) {
+      const key = dishKey(name);
+      if (!key) return undefined;
+      const variant = dishVariantKey(name);
+      return (dishesByKey.get(key) || []).find(seen => seen.variant === variant ||
+        (seen.page !== page && (seen.variant === key || variant === key)))?.value;
+    },
+
+    add(name, page, value = true) {
+      const key = dishKey(name);
+      if (!key) return;
+      if (!dishesByKey.has(key)) dishesByKey.set(key, []);
+      dishesByKey.get(key).push({ variant: dishVariantKey(name), page, value });
+    }
+  };
+}
+
+// Merge per-page section lists (in page order) into one menu.
+// Sections with the same heading are combined in order of first appearance, and every item gets the
+// `page` it was read from (its box is relative to that page). A dish already seen (see createDishIndex)
+// is dropped; it only fills in a price or definition the first copy was missing.
+export function mergePageSections(pageSections) {
+  const sections = [];
+  const sectionsByKey = new Map();
+  const dishes = createDishIndex();
+
+  pageSections.forEach((pageSectionList, page) => {
+    for (const section of pageSectionList || []) {
+      const key = sectionKey(section.name);
+      let merged = sectionsByKey.get(key);
+      if (!merged) {
+        merged = { ...section, items: [] };
+        sectionsByKey.set(key, merged);
+        sections.push(merged);
+      }
+
+      for (const item of section.items) {
+        const existing = dishes.find(item.name, page);
+
+        if (existing) {
+          if (!existing.price && item.price) existing.price = item.price;
+          if (!existing.definition && item.definition) existing.definition = item.definition;
+          continue;
+        }
+
+        const pageItem = { ...item, page };
+        dishes.add(item.name, page, pageItem);
+        merged.items.push(pageItem);
+      }
+    }
+  });
+
+  return sections;
+}
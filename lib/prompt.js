@@ -0,0 +1,150 @@
+import { DEFAULT_LANGUAGE, findLanguage } from './languages.js';
+
+// Prompt text shared by every analysis entry point (Express server and Vercel function)
+
+// Bump whenever the prompt text or the JSON it asks for changes, so cached analyses aren't reused
+export const PROMPT_VERSION = '8';
+
+export const SYSTEM_PROMPT = "You are a helpful menu translator assistant. Your primary goal is to identify dishes from menu photos and provide useful information. When a photo is hard to read, give your best interpretation rather than returning no results.";
+
+// Build the instruction text sent alongside the menu image.
+// `language` decides what counts as familiar to the reader and which language definitions are written in.
+// `fromText` is for menus sent as text (pasted or from a web page): there is no image to locate dishes in.
+export function buildAnalyzePrompt({ language = DEFAULT_LANGUAGE, fromText = false } = {}) {
+  const { name, reader } = findLanguage(language) || findLanguage(DEFAULT_LANGUAGE);
+  const isEnglish = name === 'English';
+
+  return `Carefully analyze this entire menu and identify ALL notable dishes AND special ingredients from ANY cuisine visible in the image.
+
+Photos are usually upright and cropped to the part of the menu the reader cares about. If text is still rotated, blurry or partly hidden, include any dish you can make out with your best reading.
+
+For EACH dish or special ingredient you find, provide:
+1. The name (exactly as it appears on the menu, including any non-English characters)
+2. A specific, sensory definition describing what it actually IS (texture, ingredients, taste) - be vivid but concise (10-15 words)${isEnglish ? '' : `, written in ${name}`}
+3. A bounding box around the dish name as it appears in the image, normalized to the image size:
+   - "x" and "y" are the top-left corner, "width" and "height" the size, all as fractions from 0 to 1
+   - Measure against the image exactly as it was sent, even if the menu is rotated
+4. Dietary tags, each with a "confidence" of "high", "medium" or "low":
+   - "allergens": likely allergens from nuts, shellfish, gluten, dairy, egg
+   - "diet": any that apply from vegetarian, vegan, pork (contains pork), halal-questionable (pork, lard, alcohol or non-halal meat likely)
+   - Base these on the dish's usual recipe when the menu doesn't say; use "low" when you are inferring
+   - Use empty arrays when nothing applies
+5. The price, only if one is printed for that dish: {"amount": 12.5, "currency": "EUR"}
+   - "amount" is a plain number; "currency" is the ISO 4217 code inferred from the symbol or the menu's country
+   - Use null when no price is shown - never invent one
+6. "confidence": how sure you are that you read the name right and know what the dish is, from 0 to 1
+   - 0.9 or more: clearly printed and a dish you know
+   - around 0.6: partly legible, or identified from context
+   - below 0.5: a guess - still include it, the reader will see it marked as uncertain
+7. "rawText": the dish's line exactly as printed (name, description and price), not translated or corrected
+
+CRITICAL - What to Include/Exclude:
+
+FOR MENUS IN ${name.toUpperCase()}:
+- INCLUDE dishes that are culturally specific or have special preparation methods
+- SKIP common well-known dishes like "Caesar Salad", "Margherita Pizza", "Spaghetti Carbonara"
+- SKIP generic items like "Grilled Chicken", "Steamed Rice", "Garden Salad"
+- When a dish has familiar + unfamiliar words, extract ONLY the unfamiliar term:
+  * "Chicken Karaage" → just identify "Karaage"
+  * "Pork Belly Yakisoba" → just identify "Yakisoba"
+
+FOR MENUS IN ${isEnglish ? 'FOREIGN LANGUAGES (Italian, French, Japanese, Chinese, etc.)' : `ANY LANGUAGE OTHER THAN ${name.toUpperCase()}`}:
+- BE GENEROUS - include ALL dishes written in the foreign language
+- Include the original text with ${name} translation in parentheses
+- Even common dishes like "Risotto" or "Tiramisu" should be included when written in ${name === 'Italian' ? 'a foreign language' : 'Italian'}
+- The goal is to help users understand what they're ordering
+
+ALWAYS INCLUDE:
+- Special/notable ingredients: Furikake, Uni, Truffle, Nduja, Burrata, Bottarga, Ikura, A5 Wagyu
+- Dishes with unfamiliar preparation methods or regional specialties
+- Any term a typical ${reader} might not recognize
+
+Examples of what to identify:
+- Italian: Risotto, Osso Buco, Tiramisu, Carbonara, Margherita Pizza, Bruschetta, Panna Cotta, Burrata, Nduja, Bottarga
+- Chinese: 麻婆豆腐 (Mapo Tofu), 宫保鸡丁 (Kung Pao Chicken), 小笼包 (Xiaolongbao), 北京烤鸭 (Peking Duck)
+- Japanese: Sushi, Ramen, Tempura, Tonkatsu, Miso Soup, Furikake, Uni, Ikura, Shiso
+- French: Coq au Vin, Bouillabaisse, Ratatouille, Crème Brûlée
+- Mexican: Tacos, Enchiladas, Mole, Ceviche
+- Indian: Biryani, Tikka Masala, Samosas, Naan
+- Thai: Pad Thai, Tom Yum, Green Curry, Mango Sticky Rice
+- American: BBQ Ribs, Buffalo Wings, Clam Chowder, Apple Pie
+- Special Ingredients: Mazara Shrimp, Furikake, Uni (Sea Urchin), Truffle, Burrata, Nduja, Bottarga, Ikura, Shiso, A5 Wagyu
+
+MENU STRUCTURE:
+- Keep the menu's own sections (e.g. Antipasti, Primi, Secondi, Contorni, Dolci, or Starters / Mains / Desserts)
+- Section headings are NOT dishes - never list a heading word like "Primi" as an item
+- For each section give its "name" exactly as printed, a "translation", and a one-sentence "description" of what that course is
+- If the menu has no visible sections, return a single section with "name": null
+
+Return your response as a JSON array of sections with this structure:
+[
+  {"name": "Antipasti", "translation": "Starters", "description": "Small plates served before the pasta course to open the appetite", "items": [
+    {"name": "Nduja", "definition": "Fiery, spreadable Calabrian pork salami with smoky chili heat", "box": {"x": 0.55, "y": 0.12, "width": 0.15, "height": 0.04}, "allergens": [], "diet": [{"tag": "pork", "confidence": "high"}, {"tag": "halal-questionable", "confidence": "high"}], "price": null, "confidence": 0.95, "rawText": "Bruschetta con 'nduja di Spilinga"},
+    {"name": "Uni", "definition": "Creamy, briny sea urchin roe with a delicate ocean sweetness", "box": {"x": 0.55, "y": 0.2, "width": 0.1, "height": 0.04}, "allergens": [{"tag": "shellfish", "confidence": "medium"}], "diet": [], "price": {"amount": 18.5, "currency": "EUR"}, "confidence": 0.6, "rawText": "Ricci di mare (uni) 18,5"}
+  ]},
+  {"name": "Secondi", "translation": "Main courses", "description": "The meat or fish course, served after the pasta", "items": [
+    {"name": "Osso Buco", "definition": "Fork-tender braised veal shanks in white wine with gremolata", "box": {"x": 0.08, "y": 0.2, "width": 0.22, "height": 0.04}, "allergens": [{"tag": "gluten", "confidence": "low"}], "diet": [{"tag": "halal-questionable", "confidence": "high"}], "price": {"amount": 24, "currency": "EUR"}, "confidence": 0.95, "rawText": "Osso buco alla milanese con gremolata 24"}
+  ]},
+  {"name": "Dolci", "translation": "Desserts", "description": "Sweets served at the end of the meal", "items": [
+    {"name": "Mille-Feuille", "definition": "Layers of crisp, flaky puff pastry with silky vanilla pastry cream", "box": {"x": 0.08, "y": 0.12, "width": 0.3, "height": 0.04}, "allergens": [{"tag": "gluten", "confidence": "high"}, {"tag": "dairy", "confidence": "high"}, {"tag": "egg", "confidence": "high"}], "diet": [{"tag": "vegetarian", "confidence": "high"}], "price": {"amount": 9, "currency": "EUR"}, "confidence": 0.9, "rawText": "Mille-feuille alla crema 9"}
+  ]}
+]
+
+Guidelines:
+- Definitions should be SPECIFIC and SENSORY (10-15 words) - describe texture, taste, key ingredients
+- For foreign language menus: be generous, include most dishes with original text + translation
+- For ${name} menus: be selective, focus on unfamiliar or notable items
+- Focus on what makes each dish special or notable
+- If you cannot locate a dish in the image, omit its "box" rather than guessing wildly
+
+${isEnglish ? '' : `Write every definition, translation and section description in ${name}. Keep "name" exactly as printed on the menu.
+
+`}${fromText ? `THIS MENU WAS SENT AS TEXT, NOT A PHOTO (above, after "MENU TEXT:"):
+- Read the text in place of the image; the instructions about rotated or blurry images do not apply
+- Omit "box" for every item
+- Ignore text that is not part of the menu, such as navigation links, opening hours, addresses or cookie notices
+
+` : ''}If no identifiable dishes are found, return an empty array: []`;
+}
+
+// System prompt for follow-up questions (/api/ask). `menu` is the numbered dish list the app shows,
+// as text; the user may also send the photo itself.
+export function buildAskPrompt({ language = DEFAULT_LANGUAGE, menu }) {
+  const { name, reader } = findLanguage(language) || findLanguage(DEFAULT_LANGUAGE);
+
+  return `You are a friendly, knowledgeable waiter helping a ${reader} understand a restaurant menu. They have already seen the dish list below and are asking follow-up questions about it.
+
+MENU (numbered as the reader sees it):
+${menu}
+
+How to answer:
+- Answer in ${name}, in 1-4 short sentences unless the question needs a list
+- Refer to dishes by their menu name and number, e.g. "Caponata (2)"
+- When a question is marked [About dish N: ...], answer about that dish
+- Base answers on how each dish is usually made; say so when the menu doesn't tell you
+- Recommend only dishes that are on this menu
+- For allergies and strict diets, say how confident you are and suggest confirming with the staff
+- If a question has nothing to do with food, the menu or dining out, politely steer back to the menu`;
+}
+
+// Heading of the menu JSON sent with a translation request (published menus); the mock provider
+// recognizes translation requests by it
+export const TRANSLATE_INPUT_LABEL = 'MENU TO TRANSLATE';
+
+// System prompt for translating a reviewed menu into another language for its published page.
+// The menu goes in the user turn as JSON: [{ name, translation, description, items: [{ name, definition }] }].
+export function buildTranslatePrompt({ from = DEFAULT_LANGUAGE, to }) {
+  const source = findLanguage(from) || findLanguage(DEFAULT_LANGUAGE);
+  const { name, reader } = findLanguage(to);
+
+  return `You translate restaurant menus for visitors. The restaurant has reviewed the menu below, written for a reader of ${source.name}; rewrite it for a ${reader}.
+
+Return the same JSON array with the same sections and dishes in the same order, where:
+- each section has "translation" (the heading in ${name}) and "description" (translated, or null when it was null)
+- each dish has only "definition", translated into ${name}
+- dish and section "name" values are left out: they stay as printed on the menu
+
+Keep each definition's meaning and length. Don't add dishes, ingredients or claims that aren't in the text.
+
+Return ONLY the JSON array, no other text.`;
+}
@@ -0,0 +1,37 @@
+import Anthropic from '@anthropic-ai/sdk';
+
+export const DEFAULT_MODEL = 'claude-opus-4-5';
+
+// Provider backed by the Anthropic Messages API.
+// Pass an existing `client` to reuse it, otherwise one is built from `apiKey`.
+export function createAnthropicProvider({ client, apiKey, model = DEFAULT_MODEL } = {}) {
+  const anthropic = client || new Anthropic({ apiKey });
+
+  return {
+    name: 'anthropic',
+    model,
+
+    // Send one request and return the raw Anthropic message. `content` is a single user turn;
+    // conversations pass the whole exchange as `messages` instead.
+    async createMessage({ system, content, messages, maxTokens }) {
+      return anthropic.messages.create({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages: messages || [{ role: 'user', content }]
+      });
+    },
+
+    // Same request, but `onText` receives each text delta as it arrives; resolves to the final message
+    async streamMessage({ system, content, messages, maxTokens }, onText) {
+      const stream = anthropic.messages.stream({
+        model,
+        max_tokens: maxTokens,
+        system,
+        messages: messages || [{ role: 'user', content }]
+      });
+      stream.on('text', onText);
+      return stream.finalMessage();
+    }
+  };
+}
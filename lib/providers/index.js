@@ -0,0 +1,35 @@
+import { createAnthropicProvider } from './anthropic.js';
+import { createMockProvider } from './mock.js';
+import { DEFAULT_RECORDINGS_DIR, createRecordedProvider } from './recorded.js';
+
+export { createAnthropicProvider, createMockProvider, createRecordedProvider };
+
+// Pick a model provider from environment variables.
+// MODEL_PROVIDER=mock runs the whole flow with no API key and no network; MODEL_PROVIDER=recorded replays
+// replies saved in RECORDINGS_DIR (RECORDINGS_MODE=record or auto saves new ones from Anthropic).
+export function createProviderFromEnv(env = process.env) {
+  const providerName = env.MODEL_PROVIDER || 'anthropic';
+
+  switch (providerName) {
+    case 'mock':
+      return createMockProvider({
+        delayMs: Number(env.MOCK_STREAM_DELAY_MS) || 0,
+        failAfter: env.MOCK_STREAM_FAIL_AFTER ? Number(env.MOCK_STREAM_FAIL_AFTER) : null
+      });
+    case 'anthropic':
+      return createAnthropicProvider({
+        apiKey: env.ANTHROPIC_API_KEY || env.VITE_ANTHROPIC_API_KEY,
+        model: env.ANTHROPIC_MODEL
+      });
+    case 'recorded': {
+      const mode = env.RECORDINGS_MODE || 'replay';
+      return createRecordedProvider({
+        dir: env.RECORDINGS_DIR || DEFAULT_RECORDINGS_DIR,
+        mode,
+        provider: mode === 'replay' ? null : createProviderFromEnv({ ...env, MODEL_PROVIDER: 'anthropic' })
+      });
+    }
+    default:
+      throw new Error(`Unknown MODEL_PROVIDER "${providerName}". Use "anthropic", "mock" or "recorded".`);
+  }
+}
@@ -0,0 +1,141 @@
+import { TRANSLATE_INPUT_LABEL } from '../prompt.js';
+
+// Deterministic offline provider for tests and local development.
+// Returns a canned Anthropic-shaped message so the rest of the pipeline runs unchanged.
+
+export const MOCK_DISHES = [
+  {
+    name: 'Arancini',
+    definition: 'Golden fried rice balls stuffed with ragù, peas and molten caciocavallo',
+    box: { x: 0.1, y: 0.15, width: 0.25, height: 0.05 },
+    allergens: [{ tag: 'gluten', confidence: 'high' }, { tag: 'dairy', confidence: 'high' }, { tag: 'egg', confidence: 'medium' }],
+    diet: [{ tag: 'halal-questionable', confidence: 'low' }],
+    price: { amount: 3.5, currency: 'EUR' },
+    confidence: 0.95,
+    rawText: 'Arancini al ragù 3,50'
+  },
+  {
+    name: 'Caponata',
+    definition: 'Sweet-sour Sicilian eggplant stew with celery, capers, olives and vinegar',
+    box: { x: 0.1, y: 0.3, width: 0.25, height: 0.05 },
+    allergens: [{ tag: 'nuts', confidence: 'low' }],
+    diet: [{ tag: 'vegan', confidence: 'high' }, { tag: 'vegetarian', confidence: 'high' }],
+    price: { amount: 7, currency: 'EUR' },
+    confidence: 0.9,
+    rawText: 'Caponata di melanzane 7,00'
+  },
+  {
+    name: 'Pasta con le Sarde (Pasta with Sardines)',
+    definition: 'Bucatini tossed with fresh sardines, wild fennel, raisins and toasted breadcrumbs',
+    box: { x: 0.1, y: 0.5, width: 0.5, height: 0.05 },
+    allergens: [{ tag: 'gluten', confidence: 'high' }, { tag: 'nuts', confidence: 'medium' }],
+    diet: [],
+    price: { amount: 12, currency: 'EUR' },
+    confidence: 0.8,
+    rawText: 'Pasta con le sarde 12,00'
+  },
+  {
+    name: 'Cannoli',
+    definition: 'Crisp fried pastry tubes piped with sweetened sheep ricotta and candied peel',
+    box: { x: 0.1, y: 0.75, width: 0.2, height: 0.05 },
+    allergens: [{ tag: 'gluten', confidence: 'high' }, { tag: 'dairy', confidence: 'high' }],
+    diet: [{ tag: 'vegetarian', confidence: 'medium' }, { tag: 'halal-questionable', confidence: 'low' }],
+    price: null,
+    // Half hidden in the mock photo, so the app's uncertain-item flag shows up in development
+    confidence: 0.55,
+    rawText: 'Cann..li sicil.ani'
+  }
+];
+
+// MOCK_DISHES grouped the way a sectioned Sicilian menu would return them
+export const MOCK_SECTIONS = [
+  { name: 'Antipasti', translation: 'Starters', description: 'Small plates served before the pasta course', items: MOCK_DISHES.slice(0, 2) },
+  { name: 'Primi', translation: 'First courses', description: 'Pasta, rice or soup, eaten before the main course', items: MOCK_DISHES.slice(2, 3) },
+  { name: 'Dolci', translation: 'Desserts', description: 'Sweets served at the end of the meal', items: MOCK_DISHES.slice(3) }
+];
+
+// Reply to conversation requests (follow-up questions): quotes the last question back
+function mockAnswer(messages) {
+  const last = messages[messages.length - 1].content;
+  const question = typeof last === 'string' ? last : last.find(block => block.type === 'text')?.text;
+  return `Mock answer to: ${question}`;
+}
+
+// Reply to translation requests (published menus): every text tagged with the target language, like "[de] …"
+function mockTranslation(content) {
+  const [, language, json] = content.match(/^[^\n]*\((\w+)\):\n([\s\S]*)$/);
+  const tag = text => (text ? `[${language}] ${text}` : text);
+  return JSON.stringify(JSON.parse(json).map(section => ({
+    translation: tag(section.translation || section.name),
+    description: tag(section.description),
+    items: section.items.map(item => ({ definition: tag(item.definition) }))
+  })));
+}
+
+// `chunkSize` and `delayMs` control how the reply is split and paced when streamed;
+// `failAfter` cuts a stream off after that many characters to simulate a dropped connection.
+// `answer` overrides the reply to conversation requests (those sending `messages`).
+// `replies` queues canned replies for the next analysis requests, as { text, stopReason } (e.g. 'max_tokens'
+// to simulate a cut-off reply); once they are used up, `text` or `sections` is returned again.
+export function createMockProvider({
+  sections = MOCK_SECTIONS,
+  text,
+  answer = null,
+  replies = [],
+  chunkSize = 40,
+  delayMs = 0,
+  failAfter = null
+} = {}) {
+  const calls = [];
+  const queued = [...replies];
+
+  const replyTo = request => {
+    if (request.messages) return { text: answer ?? mockAnswer(request.messages) };
+    if (typeof request.content === 'string' && request.content.startsWith(TRANSLATE_INPUT_LABEL)) {
+      return { text: mockTranslation(request.content) };
+    }
+    return queued.shift() ?? { text: text ?? JSON.stringify(sections) };
+  };
+
+  return {
+    name: 'mock',
+    model: 'mock',
+    // Every request is recorded so tests can inspect what was sent
+    calls,
+
+    async createMessage(request) {
+      calls.push(request);
+      return buildMessage(replyTo(request));
+    },
+
+    async streamMessage(request, onText) {
+      calls.push(request);
+      const reply = replyTo(request);
+      const responseText = reply.text;
+
+      for (let offset = 0; offset < responseText.length; offset += chunkSize) {
+        if (failAfter !== null && offset >= failAfter) {
+          throw new Error('Mock stream interrupted');
+        }
+        // Yield between chunks so consumers see the reply arrive piece by piece
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        onText(responseText.slice(offset, offset + chunkSize));
+      }
+
+      return buildMessage(reply);
+    }
+  };
+
+  function buildMessage({ text: responseText, stopReason = 'end_turn' }) {
+    return {
+      id: `msg_mock_${calls.length}`,
+      type: 'message',
+      role: 'assistant',
+      model: 'mock',
+      content: [{ type: 'text', text: responseText }],
+      stop_reason: stopReason,
+      stop_sequence: null,
+      usage: { input_tokens: 0, output_tokens: 0 }
+    };
+  }
+}
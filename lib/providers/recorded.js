@@ -0,0 +1,82 @@
+import { createHash } from 'crypto';
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { fileURLToPath } from 'url';
+
+// Provider that replays model replies recorded earlier, so evaluations run offline and repeatably.
+// Each reply is stored in `dir` as <hash of the request>.json. Modes:
+//   replay  only recorded replies; a request never recorded is an error
+//   record  send every request to `provider` and (re)record its reply
+//   auto    replay when recorded, otherwise record
+// Recordings hold the whole request's outcome, so a changed prompt or photo needs new recordings.
+
+export const DEFAULT_RECORDINGS_DIR = fileURLToPath(new URL('../../.cache/recordings', import.meta.url));
+export const RECORDING_MODES = ['replay', 'record', 'auto'];
+
+// Conversations (`messages`) and single turns (`content`) both hash everything the model sees
+export function recordingKey({ system, content, messages, maxTokens }) {
+  return createHash('sha256')
+    .update(JSON.stringify({ system, content: content ?? null, messages: messages ?? null, maxTokens }))
+    .digest('hex');
+}
+
+export function createRecordedProvider({ dir = DEFAULT_RECORDINGS_DIR, mode = 'replay', provider = null } = {}) {
+  if (!RECORDING_MODES.includes(mode)) {
+    throw new Error(`Unknown recording mode "${mode}". Use ${RECORDING_MODES.map(name => `"${name}"`).join(', ')}.`);
+  }
+  if (mode !== 'replay' && !provider) {
+    throw new Error(`Recording mode "${mode}" needs a provider to record from`);
+  }
+
+  const fileFor = request => join(dir, `${recordingKey(request)}.json`);
+
+  async function replay(request) {
+    try {
+      return JSON.parse(await readFile(fileFor(request), 'utf8')).message;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async function record(request, send) {
+    const message = await send();
+    await mkdir(dir, { recursive: true });
+    await writeFile(fileFor(request), JSON.stringify({ recordedAt: new Date().toISOString(), model: provider.model, message }, null, 2));
+    return message;
+  }
+
+  // Resolves to { message, replayed }
+  async function respond(request, send) {
+    if (mode !== 'record') {
+      const message = await replay(request);
+      if (message) return { message, replayed: true };
+      if (mode === 'replay') {
+        throw new Error(`No recorded reply for this request in ${dir}. None are committed: record them first with the "auto" or "record" mode and an ANTHROPIC_API_KEY.`);
+      }
+    }
+    return { message: await record(request, send), replayed: false };
+  }
+
+  return {
+    name: 'recorded',
+    // Keys don't include the model, so keep one directory per model when comparing models
+    model: provider?.model ?? 'recorded',
+
+    async createMessage(request) {
+      return (await respond(request, () => provider.createMessage(request))).message;
+    },
+
+    // Replayed replies are passed on in one piece
+    async streamMessage(request, onText) {
+      const streams = Boolean(provider?.streamMessage);
+      const { message, replayed } = await respond(request, () =>
+        streams ? provider.streamMessage(request, onText) : provider.createMessage(request)
+      );
+      if (replayed || !streams) {
+        onText(message.content.filter(block => block.type === 'text').map(block => block.text).join(''));
+      }
+      return message;
+    }
+  };
+}
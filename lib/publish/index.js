@@ -0,0 +1,243 @@
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { fileURLToPath } from 'url';
+import { normalizePrice } from '../currency.js';
+import { normalizeDietaryTags } from '../dietary.js';
+import { RequestError, withUsage } from '../errors.js';
+import { LANGUAGES, findLanguage } from '../languages.js';
+import { slugify } from '../export/formats.js';
+import { createFileMenuStore, createMemoryMenuStore } from './stores.js';
+import { translateSections } from './translate.js';
+
+export { createFileMenuStore, createMemoryMenuStore };
+export { renderMissingPage, renderPublishedPage } from './page.js';
+export { publishedQrCode, QR_FORMATS } from './qr.js';
+
+// Published menus: an analysis a restaurant reviewed and edited, served as a read-only page at /menu/<id>
+// in one or more languages. A record is { id, title, sourceLanguage, languages, dishCount, editTokenHash, createdAt, updatedAt }:
+//   sourceLanguage  the language the owner reviewed the definitions in
+//   languages       { [code]: { sections, translated } }, the source language first; the others are translated
+//                   from it, so names, prices and tags are the same in every language
+//   editTokenHash   hash of the token returned when the menu was first published, needed to change or remove it
+// Sections are [{ name, translation, description, items: [{ name, definition, price, allergens, diet }] }].
+
+export const DEFAULT_PUBLISHED_DIR = fileURLToPath(new URL('../../.cache/published', import.meta.url));
+
+const MAX_TITLE_LENGTH = 120;
+const MAX_NAME_LENGTH = 200;
+const MAX_TEXT_LENGTH = 500;
+export const MAX_PUBLISHED_DISHES = 300;
+
+function cleanText(value, field, maxLength) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'string') {
+    throw new RequestError(`${field} must be a string`);
+  }
+  const text = value.replace(/\s+/g, ' ').trim();
+  if (text.length > maxLength) {
+    throw new RequestError(`${field} is too long (at most ${maxLength} characters)`);
+  }
+  return text || null;
+}
+
+// Only what a visitor sees is kept: model details like boxes, confidence or converted prices are dropped
+function validateSections(sections) {
+  if (!Array.isArray(sections) || sections.some(section => !Array.isArray(section?.items))) {
+    throw new RequestError('Missing or invalid sections: expected the reviewed menu as [{ name, items: [...] }]');
+  }
+
+  const cleaned = sections.map((section, sectionIndex) => {
+    const label = `sections[${sectionIndex}]`;
+    return {
+      name: cleanText(section.name, `${label}.name`, MAX_NAME_LENGTH),
+      translation: cleanText(section.translation, `${label}.translation`, MAX_NAME_LENGTH),
+      description: cleanText(section.description, `${label}.description`, MAX_TEXT_LENGTH),
+      items: section.items.map((item, index) => {
+        const name = cleanText(item?.name, `${label}.items[${index}].name`, MAX_NAME_LENGTH);
+        if (!name) {
+          throw new RequestError(`${label}.items[${index}] needs a name`);
+        }
+        return {
+          name,
+          definition: cleanText(item.definition, `${label}.items[${index}].definition`, MAX_TEXT_LENGTH),
+          price: normalizePrice(item.price),
+          ...normalizeDietaryTags(item)
+        };
+      })
+    };
+  }).filter(section => section.items.length > 0);
+
+  const dishCount = cleaned.reduce((count, section) => count + section.items.length, 0);
+  if (dishCount === 0) {
+    throw new RequestError('A published menu needs at least one dish');
+  }
+  if (dishCount > MAX_PUBLISHED_DISHES) {
+    throw new RequestError(`Too many dishes (${dishCount}). A published menu can have at most ${MAX_PUBLISHED_DISHES}`);
+  }
+  return cleaned;
+}
+
+// Check a POST or PUT /api/publish body: { title, language, languages?, sections }.
+// `language` is the one the definitions are written in; `languages` lists every language to publish, which
+// always includes `language`.
+export function validatePublishRequest(body) {
+  const { title, language, languages = [], sections } = body || {};
+
+  const menuTitle = cleanText(title, 'title', MAX_TITLE_LENGTH);
+  if (!menuTitle) {
+    throw new RequestError('Missing required field: title (the restaurant or menu name)');
+  }
+
+  const source = findLanguage(language);
+  if (!source) {
+    throw new RequestError(`Unsupported language: ${language}`);
+  }
+  if (!Array.isArray(languages)) {
+    throw new RequestError('languages must be an array of language codes');
+  }
+  const targets = languages.map(code => {
+    const target = findLanguage(code);
+    if (!target) {
+      throw new RequestError(`Unsupported language: ${code}. Use ${LANGUAGES.map(entry => entry.code).join(', ')}`);
+    }
+    return target.code;
+  });
+
+  return {
+    title: menuTitle,
+    language: source.code,
+    languages: [...new Set([source.code, ...targets])],
+    sections: validateSections(sections)
+  };
+}
+
+const ID_ALPHABET = 'abcdefghijklmnopqrstuvwxyz0123456789';
+
+// "trattoria-da-nino-k3x9q2ab": readable, with a random part so ids can't be guessed from the name
+function newMenuId(title) {
+  return `${slugify(title, 50)}-${Array.from(randomBytes(8), byte => ID_ALPHABET[byte % ID_ALPHABET.length]).join('')}`;
+}
+
+// Add up usage records, skipping missing ones
+function sumUsage(records) {
+  const present = records.filter(Boolean);
+  const total = key => present.reduce((sum, usage) => sum + (usage[key] || 0), 0);
+  return { inputTokens: total('inputTokens'), outputTokens: total('outputTokens'), modelCalls: total('modelCalls') };
+}
+
+const hashToken = token => createHash('sha256').update(String(token)).digest();
+
+function assertEditToken(menu, editToken) {
+  if (!editToken || !timingSafeEqual(hashToken(editToken), Buffer.from(menu.editTokenHash, 'hex'))) {
+    throw new RequestError('Invalid edit token for this menu', 403);
+  }
+}
+
+// Translate the reviewed sections into every other language. Returns { languages, usage }, usage summed
+// as { inputTokens, outputTokens, modelCalls }. Every translation is waited for, so a failure still
+// carries what all of them spent.
+async function buildLanguages({ language, languages, sections }, provider) {
+  const targets = languages.filter(code => code !== language);
+  const outcomes = await Promise.allSettled(targets.map(code => translateSections(sections, { from: language, to: code, provider })));
+  const usage = sumUsage(outcomes.map(outcome => (outcome.status === 'fulfilled' ? outcome.value.usage : outcome.reason?.usage)));
+
+  const failed = outcomes.find(outcome => outcome.status === 'rejected');
+  if (failed) throw withUsage(failed.reason, usage);
+
+  return {
+    languages: Object.fromEntries([
+      [language, { sections, translated: false }],
+      ...outcomes.map(({ value }, index) => [targets[index], { sections: value.sections, translated: true }])
+    ]),
+    usage
+  };
+}
+
+function menuRecord(input, languages, { id, createdAt, editTokenHash }) {
+  return {
+    id,
+    title: input.title,
+    sourceLanguage: input.language,
+    languages,
+    dishCount: input.sections.reduce((count, section) => count + section.items.length, 0),
+    editTokenHash,
+    createdAt,
+    updatedAt: new Date().toISOString()
+  };
+}
+
+// Publish a validated menu under a new id. Returns { menu, editToken, usage }; the edit token is only
+// given out here, and the store keeps just its hash.
+export async function publishMenu(store, input, { provider }) {
+  let id = newMenuId(input.title);
+  while (await store.get(id)) id = newMenuId(input.title);
+
+  const editToken = randomBytes(24).toString('base64url');
+  const { languages, usage } = await buildLanguages(input, provider);
+  const menu = menuRecord(input, languages, {
+    id,
+    createdAt: new Date().toISOString(),
+    editTokenHash: hashToken(editToken).toString('hex')
+  });
+
+  await store.set(id, menu);
+  return { menu, editToken, usage };
+}
+
+// Replace a published menu with a newly reviewed version, keeping its id (and so its link and QR code).
+// Returns { menu, usage }.
+export async function updatePublishedMenu(store, id, editToken, input, { provider }) {
+  const existing = await store.get(id);
+  if (!existing) {
+    throw new RequestError(`No published menu with id ${id}`, 404);
+  }
+  assertEditToken(existing, editToken);
+
+  const { languages, usage } = await buildLanguages(input, provider);
+  const menu = menuRecord(input, languages, existing);
+  await store.set(id, menu);
+  return { menu, usage };
+}
+
+export async function unpublishMenu(store, id, editToken) {
+  const existing = await store.get(id);
+  if (!existing) {
+    throw new RequestError(`No published menu with id ${id}`, 404);
+  }
+  assertEditToken(existing, editToken);
+  await store.delete(id);
+}
+
+// A published menu as anyone may see it
+export function publicMenu({ editTokenHash: _editTokenHash, ...menu }) {
+  return menu;
+}
+
+// The language to show a visitor: the one asked for (?lang=), else the first of their browser's
+// Accept-Language preferences the menu was published in, else the source language
+export function pickMenuLanguage(menu, requested, acceptLanguage = '') {
+  const preferences = [
+    requested,
+    ...String(acceptLanguage).split(',').map(part => part.split(';')[0].trim())
+  ];
+  for (const preference of preferences) {
+    const code = findLanguage(preference)?.code;
+    if (code && menu.languages[code]) return code;
+  }
+  return menu.sourceLanguage;
+}
+
+// Pick the published menu store from PUBLISHED_MENUS ("file", "memory" or "off") and PUBLISHED_MENUS_DIR
+export function createPublishedMenuStoreFromEnv(env = process.env) {
+  const kind = env.PUBLISHED_MENUS || 'file';
+
+  switch (kind) {
+    case 'off':
+      return null;
+    case 'memory':
+      return createMemoryMenuStore();
+    case 'file':
+      return createFileMenuStore({ dir: env.PUBLISHED_MENUS_DIR || DEFAULT_PUBLISHED_DIR });
+    default:
+      throw new Error(`Unknown PUBLISHED_MENUS "${kind}". Use "file", "memory" or "off".`);
+  }
+}
@@ -0,0 +1,92 @@
+import { escapeHtml, formatPrice, formatTags, sectionTitle } from '../export/formats.js';
+import { findLanguage } from '../languages.js';
+
+// The read-only page visitors reach from a published menu's link or QR code (GET /menu/<id>).
+// Plain server-rendered HTML with inline styles: it loads fast on a phone and needs no app or script.
+
+const PAGE_STYLE = `
+  body { margin: 0 auto; max-width: 720px; padding: 24px 20px 48px; font-family: Georgia, 'Times New Roman', serif; color: #1a1a1a; background: #fafaf8; line-height: 1.45; }
+  h1 { font-weight: 400; font-size: 1.75em; margin: 0 0 12px; }
+  nav { display: flex; flex-wrap: wrap; gap: 6px; margin: 0 0 20px; font: 14px Helvetica, Arial, sans-serif; }
+  nav a { padding: 4px 10px; border: 1px solid #d4d4d0; border-radius: 14px; color: #1a1a1a; text-decoration: none; }
+  nav a[aria-current] { background: #1a1a1a; border-color: #1a1a1a; color: #fff; }
+  h2 { font-weight: 400; font-size: 1.3em; margin: 28px 0 4px; border-bottom: 1px solid #d4d4d0; padding-bottom: 4px; }
+  .section-description { color: #6b6b68; font-style: italic; margin: 4px 0 8px; }
+  .dish { margin: 14px 0; }
+  .dish h3 { display: flex; justify-content: space-between; gap: 12px; font-size: 1.05em; margin: 0; }
+  .price { color: #6b6b68; font-weight: normal; white-space: nowrap; }
+  .dish p { margin: 2px 0; }
+  .tags { color: #6b6b68; font-size: 0.85em; }
+  footer { margin-top: 36px; color: #6b6b68; font-size: 0.8em; }
+`;
+
+function renderDish(item) {
+  const price = formatPrice(item.price);
+  const tags = formatTags([...item.allergens, ...item.diet]);
+  return [
+    '<div class="dish">',
+    `<h3><span>${escapeHtml(item.name)}</span>${price ? ` <span class="price">${escapeHtml(price)}</span>` : ''}</h3>`,
+    item.definition ? `<p>${escapeHtml(item.definition)}</p>` : '',
+    tags ? `<p class="tags">${escapeHtml(tags)}</p>` : '',
+    '</div>'
+  ].join('');
+}
+
+// Render `menu` (a published record) in `language`, one of its languages. Language links keep the
+// page's path and only change ?lang=.
+export function renderPublishedPage(menu, language) {
+  const { sections, translated } = menu.languages[language];
+  const heading = escapeHtml(menu.title);
+
+  const languageLinks = Object.keys(menu.languages).length > 1
+    ? `<nav aria-label="Language">${Object.keys(menu.languages).map(code =>
+      `<a href="?lang=${code}" hreflang="${code}" lang="${code}"${code === language ? ' aria-current="true"' : ''}>${escapeHtml(findLanguage(code).nativeName)}</a>`
+    ).join('')}</nav>`
+    : '';
+
+  const sectionBlocks = sections.map(section => [
+    section.name ? `<h2>${escapeHtml(sectionTitle(section))}</h2>` : '',
+    section.description ? `<p class="section-description">${escapeHtml(section.description)}</p>` : '',
+    ...section.items.map(renderDish)
+  ].join('\n'));
+
+  const notes = [
+    translated ? `Descriptions translated from ${findLanguage(menu.sourceLanguage).name}.` : '',
+    'Allergen and diet tags are a guide, not a guarantee: please ask the staff.',
+    `Updated ${menu.updatedAt.slice(0, 10)}.`
+  ].filter(Boolean);
+
+  return `<!DOCTYPE html>
+<html lang="${language}">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${heading}</title>
+<style>${PAGE_STYLE}</style>
+</head>
+<body>
+<h1>${heading}</h1>
+${languageLinks}
+${sectionBlocks.join('\n')}
+<footer>${notes.map(escapeHtml).join(' ')}</footer>
+</body>
+</html>
+`;
+}
+
+// Shown in place of a menu that was taken down (or a link that never worked)
+export function renderMissingPage(message) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Menu</title>
+<style>${PAGE_STYLE}</style>
+</head>
+<body>
+<p>${escapeHtml(message)}</p>
+</body>
+</html>
+`;
+}
@@ -0,0 +1,18 @@
+import QRCode from 'qrcode';
+
+// QR codes for published menu links, to print on tables and windows
+
+export const QR_FORMATS = {
+  png: 'image/png',
+  svg: 'image/svg+xml'
+};
+
+// Medium error correction still scans with a little wear or a logo sticker on it
+const QR_OPTIONS = { errorCorrectionLevel: 'M', margin: 2 };
+
+// The QR code for `url` as a PNG buffer (large enough to print) or an SVG string
+export function publishedQrCode(url, format = 'png') {
+  return format === 'svg'
+    ? QRCode.toString(url, { ...QR_OPTIONS, type: 'svg' })
+    : QRCode.toBuffer(url, { ...QR_OPTIONS, type: 'png', width: 600 });
+}
@@ -0,0 +1,105 @@
+import { mkdir, readdir, readFile, rename, unlink, writeFile } from 'fs/promises';
+import { join } from 'path';
+import { RequestError } from '../errors.js';
+
+// Published menu stores. Every store exposes:
+//   get(id) -> menu | null, set(id, menu), list() -> menu summaries, delete(id) -> boolean
+// Menus are described in index.js.
+
+function summarize({ id, title, languages, dishCount, createdAt, updatedAt }) {
+  return { id, title, languages: Object.keys(languages), dishCount, createdAt, updatedAt };
+}
+
+// Ids are slugs like "trattoria-da-nino-k3x9q2ab"; anything else could escape the menu directory
+const isValidId = id => /^[a-z0-9-]{1,80}$/.test(id);
+
+function assertId(id) {
+  if (!isValidId(id)) {
+    throw new RequestError(`Invalid published menu id: ${id}`);
+  }
+}
+
+export function createMemoryMenuStore() {
+  // Menus are stored serialized so callers can't mutate what's published
+  const menus = new Map();
+
+  return {
+    name: 'memory',
+
+    async get(id) {
+      const stored = menus.get(id);
+      return stored ? JSON.parse(stored) : null;
+    },
+
+    async set(id, menu) {
+      menus.set(id, JSON.stringify(menu));
+    },
+
+    async list() {
+      return [...menus.values()].map(stored => summarize(JSON.parse(stored)));
+    },
+
+    async delete(id) {
+      return menus.delete(id);
+    }
+  };
+}
+
+// One JSON file per published menu in `dir`
+export function createFileMenuStore({ dir }) {
+  const fileFor = id => {
+    assertId(id);
+    return join(dir, `${id}.json`);
+  };
+
+  // A malformed id is just a menu that doesn't exist, so visitors with a mangled link get a 404
+  async function get(id) {
+    if (!isValidId(id)) return null;
+    try {
+      return JSON.parse(await readFile(fileFor(id), 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.log(`Ignoring unreadable published menu ${id}: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  return {
+    name: 'file',
+    get,
+
+    // Written to a temporary file and renamed, so visitors never load a half-written menu
+    async set(id, menu) {
+      await mkdir(dir, { recursive: true });
+      await writeFile(`${fileFor(id)}.tmp`, JSON.stringify(menu));
+      await rename(`${fileFor(id)}.tmp`, fileFor(id));
+    },
+
+    async list() {
+      let files;
+      try {
+        files = await readdir(dir);
+      } catch (error) {
+        return [];
+      }
+
+      const menus = await Promise.all(
+        files
+          .filter(file => file.endsWith('.json'))
+          .map(file => get(file.slice(0, -'.json'.length)))
+      );
+      return menus.filter(Boolean).map(summarize);
+    },
+
+    async delete(id) {
+      try {
+        await unlink(fileFor(id));
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    }
+  };
+}
@@ -0,0 +1,113 @@
+import { combineUsage, parseModelJson } from '../analyze.js';
+import { RequestError, withUsage } from '../errors.js';
+import { findLanguage } from '../languages.js';
+import { TRANSLATE_INPUT_LABEL, buildTranslatePrompt } from '../prompt.js';
+
+// Translation of a reviewed menu into the other languages of its published page. Only the texts written
+// for the reader change (section headings and descriptions, dish definitions); names, prices and tags
+// are copied from the reviewed menu, so the owner's edits carry over to every language.
+
+const isText = value => value === null || value === undefined || typeof value === 'string';
+
+// The reply must have the batch's shape exactly, or dishes would get each other's definitions
+function matchesBatch(reply, parts) {
+  return Array.isArray(reply) && reply.length === parts.length && reply.every((section, index) =>
+    isText(section?.translation) && isText(section?.description) &&
+    Array.isArray(section.items) && section.items.length === parts[index].items.length &&
+    section.items.every(item => isText(item?.definition))
+  );
+}
+
+// Output tokens a text may take once translated: about two characters a token, which errs high for most
+// scripts, plus the JSON around it
+const estimateTokens = text => Math.ceil(String(text || '').length / 2) + 10;
+
+// Split the sections into batches small enough to translate within `maxTokens`, with room to spare. A batch is
+// a list of parts { sectionIndex, start, heading, items }: the items of one section from `start`, where only
+// the part starting a section (`heading` true) asks for its heading and description.
+export function batchSections(sections, maxTokens) {
+  const budget = maxTokens / 2;
+  const batches = [];
+  let batch = [];
+  let used = 0;
+
+  sections.forEach((section, sectionIndex) => {
+    let part = null;
+    section.items.forEach((item, index) => {
+      const headingCost = index === 0 ? estimateTokens(section.translation || section.name) + estimateTokens(section.description) : 0;
+      const cost = estimateTokens(item.definition) + headingCost;
+      if (used > 0 && used + cost > budget) {
+        batches.push(batch);
+        batch = [];
+        used = 0;
+        part = null;
+      }
+      if (!part) {
+        part = { sectionIndex, start: index, heading: index === 0, items: [] };
+        batch.push(part);
+      }
+      part.items.push(item);
+      used += cost;
+    });
+  });
+  if (batch.length > 0) batches.push(batch);
+  return batches;
+}
+
+// Ask for one batch. Returns { reply, message }, with `reply` null when it was cut off or doesn't fit the batch.
+async function translateBatch(parts, sections, { from, to, provider, maxTokens }) {
+  const payload = parts.map(({ sectionIndex, heading, items }) => ({
+    name: sections[sectionIndex].name,
+    translation: heading ? sections[sectionIndex].translation : null,
+    description: heading ? sections[sectionIndex].description : null,
+    items: items.map(item => ({ name: item.name, definition: item.definition }))
+  }));
+
+  const message = await provider.createMessage({
+    system: buildTranslatePrompt({ from, to }),
+    content: `${TRANSLATE_INPUT_LABEL} (${to}):\n${JSON.stringify(payload)}`,
+    maxTokens
+  });
+  const reply = parseModelJson(message.content.filter(block => block.type === 'text').map(block => block.text).join(''));
+  const usable = message.stop_reason !== 'max_tokens' && matchesBatch(reply, parts);
+  return { reply: usable ? reply : null, message };
+}
+
+// Translate published `sections` (see validatePublishRequest) from one language into another, in as many
+// model calls as it takes to keep each reply within `maxTokens`.
+// Returns { sections, usage } with usage as { inputTokens, outputTokens, modelCalls }.
+export async function translateSections(sections, { from, to, provider, maxTokens = 4096 }) {
+  const translated = sections.map(section => ({ ...section, description: null, items: [...section.items] }));
+  const replies = [];
+
+  for (const parts of batchSections(sections, maxTokens)) {
+    let result;
+    try {
+      result = await translateBatch(parts, sections, { from, to, provider, maxTokens });
+    } catch (error) {
+      throw withUsage(error, combineUsage(replies));
+    }
+    replies.push(result.message);
+
+    if (!result.reply) {
+      throw withUsage(
+        new RequestError(`Could not translate the menu into ${findLanguage(to).name}. Please try publishing again.`, 502),
+        combineUsage(replies)
+      );
+    }
+
+    parts.forEach(({ sectionIndex, start, heading, items }, partIndex) => {
+      const section = translated[sectionIndex];
+      const replySection = result.reply[partIndex];
+      if (heading) {
+        section.translation = replySection.translation?.trim() || section.translation;
+        section.description = replySection.description?.trim() || null;
+      }
+      items.forEach((item, index) => {
+        section.items[start + index] = { ...item, definition: replySection.items[index].definition?.trim() || item.definition };
+      });
+    });
+  }
+
+  return { sections: translated, usage: combineUsage(replies) };
+}
@@ -0,0 +1,60 @@
+// Menu section handling: the model returns [{ name, translation, description, items }]
+
+// Common course headings that the model sometimes lists as if they were dishes
+export const COURSE_HEADINGS = [
+  'antipasti', 'antipasto', 'primi', 'primi piatti', 'primo', 'secondi', 'secondi piatti', 'secondo',
+  'contorni', 'contorno', 'dolci', 'dolce', 'dessert', 'desserts', 'insalate', 'pizze', 'bevande',
+  'starters', 'appetizers', 'mains', 'main courses', 'sides', 'side dishes', 'drinks',
+  'entrées', 'entrees', 'plats', 'hors d\'oeuvre', 'vorspeisen', 'hauptgerichte', 'beilagen', 'nachspeisen'
+];
+
+function normalizeHeading(text) {
+  return String(text || '').toLowerCase().replace(/\s*\(.*\)\s*$/, '').trim();
+}
+
+// True when an "item" is really just a section heading
+export function isHeadingItem(item, sectionNames = []) {
+  const name = normalizeHeading(item.name);
+  if (!name) return false;
+  return COURSE_HEADINGS.includes(name) || sectionNames.some(section => normalizeHeading(section) === name);
+}
+
+// Turn parsed model output into sections. Older flat dish arrays become one unnamed section.
+// Heading words listed as dishes are dropped, and empty sections are removed.
+export function toSections(parsed) {
+  if (!Array.isArray(parsed)) return null;
+
+  const entries = parsed.filter(entry => entry && typeof entry === 'object');
+  const isSectioned = entries.length > 0 && entries.every(entry => Array.isArray(entry.items));
+  const rawSections = isSectioned ? entries : [{ name: null, items: entries }];
+  const sectionNames = rawSections.map(section => section.name).filter(Boolean);
+
+  return rawSections
+    .map(section => ({
+      name: typeof section.name === 'string' && section.name.trim() ? section.name.trim() : null,
+      translation: typeof section.translation === 'string' ? section.translation.trim() : null,
+      description: typeof section.description === 'string' ? section.description.trim() : null,
+      items: section.items.filter(item =>
+        item && typeof item === 'object' && item.name && !isHeadingItem(item, sectionNames)
+      )
+    }))
+    .filter(section => section.items.length > 0);
+}
+
+// Flatten sections into one dish list, remembering where each dish came from
+export function flattenSections(sections) {
+  return sections.flatMap((section, sectionIndex) =>
+    section.items.map(item => ({ item, sectionIndex }))
+  );
+}
+
+// Apply an async transform to every dish (e.g. image lookup) while keeping the section layout
+export async function mapSectionItems(sections, transform) {
+  const flat = flattenSections(sections);
+  const transformed = await transform(flat.map(entry => entry.item));
+
+  return sections.map((section, sectionIndex) => ({
+    ...section,
+    items: transformed.filter((_item, index) => flat[index].sectionIndex === sectionIndex)
+  }));
+}
@@ -0,0 +1,121 @@
+// Incremental parser for the model's section JSON while it is still being written.
+// Feed it text deltas with push(); it calls back as soon as each piece is complete:
+//   onSection({ name, translation, description })  when a section's "items" array opens
+//   onItem(item, sectionIndex)                       when a dish object closes
+// Flat dish arrays (no sections) are reported as items of one unnamed section.
+
+export function createSectionStreamParser({ onSection, onItem }) {
+  let text = '';
+  let position = 0;
+  let inString = false;
+  let escaped = false;
+  let started = false;
+  let finished = false;
+  let sectionCount = 0;
+  let implicitSection = false;
+  // Open containers: { char, start, role } where role is 'sections', 'entry', 'items' or 'item'
+  const stack = [];
+
+  function parseObject(source) {
+    try {
+      return JSON.parse(source);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // The section's fields written before "items", closed off so they parse on their own
+  function parseSectionHeader(entry, itemsKeyIndex) {
+    const head = text.slice(entry.start, itemsKeyIndex).replace(/[\s,]*$/, '');
+    return parseObject(`${head}}`) || {};
+  }
+
+  function startSection(header) {
+    onSection({
+      name: typeof header.name === 'string' ? header.name : null,
+      translation: typeof header.translation === 'string' ? header.translation : null,
+      description: typeof header.description === 'string' ? header.description : null
+    });
+    return sectionCount++;
+  }
+
+  function open(char) {
+    const parent = stack[stack.length - 1];
+    let role = null;
+
+    if (!parent) {
+      role = 'sections';
+    } else if (parent.role === 'sections' && char === '{') {
+      role = 'entry';
+    } else if (parent.role === 'entry' && char === '[') {
+      const before = text.slice(0, position);
+      const keyMatch = before.match(/"items"\s*:\s*$/);
+      if (keyMatch && parent.sectionIndex === undefined) {
+        role = 'items';
+        parent.sectionIndex = startSection(parseSectionHeader(parent, keyMatch.index));
+      }
+    } else if (parent.role === 'items' && char === '{') {
+      role = 'item';
+    }
+
+    stack.push({ char, start: position, role });
+  }
+
+  function close() {
+    const frame = stack.pop();
+    const source = text.slice(frame.start, position + 1);
+
+    if (frame.role === 'item') {
+      const item = parseObject(source);
+      const section = stack[stack.length - 2];
+      if (item) onItem(item, section.sectionIndex);
+    } else if (frame.role === 'entry' && frame.sectionIndex === undefined) {
+      // An entry without "items" is a dish from a flat array
+      const item = parseObject(source);
+      if (item) {
+        if (!implicitSection) {
+          implicitSection = true;
+          startSection({});
+        }
+        onItem(item, 0);
+      }
+    } else if (frame.role === 'sections') {
+      finished = true;
+    }
+  }
+
+  return {
+    push(delta) {
+      text += delta;
+
+      for (; position < text.length && !finished; position++) {
+        const char = text[position];
+
+        if (!started) {
+          // Skip any prose before the JSON array
+          if (char === '[') {
+            started = true;
+            open(char);
+          }
+          continue;
+        }
+
+        if (inString) {
+          if (escaped) escaped = false;
+          else if (char === '\\') escaped = true;
+          else if (char === '"') inString = false;
+          continue;
+        }
+
+        if (char === '"') inString = true;
+        else if (char === '{' || char === '[') open(char);
+        else if (char === '}' || char === ']') close();
+      }
+    },
+
+    // Everything received so far, for the final full parse
+    get text() {
+      return text;
+    }
+  };
+}
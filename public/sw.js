@@ -0,0 +1,112 @@
+// Service worker: keeps the app shell and dish photos available offline, so saved menus
+// (stored in IndexedDB by src/history.js) open with no connection. API requests and published menu pages
+// always go to the network.
+
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `menu-lexicon-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `menu-lexicon-images-${CACHE_VERSION}`;
+const SHELL_URLS = ['/', '/manifest.webmanifest', '/icon.svg', '/icon-192.png'];
+// Dish photos from Wikipedia and the local collection; older ones are dropped past this many
+const MAX_CACHED_IMAGES = 300;
+
+// Cache the hashed bundles a page references, which aren't known until build time, and drop the ones it
+// doesn't: every build renames them, so without this each deploy's bundles would pile up in the cache
+async function cacheAssets(cache, html) {
+  const assets = new Set([...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map(match => match[1]));
+  await cache.addAll([...assets]);
+
+  const stale = (await cache.keys()).filter(key => {
+    const { pathname } = new URL(key.url);
+    return pathname.startsWith('/assets/') && !assets.has(pathname);
+  });
+  await Promise.all(stale.map(key => cache.delete(key)));
+}
+
+// Cache the page and its bundles
+async function cacheShell() {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(SHELL_URLS);
+  await cacheAssets(cache, await (await cache.match('/')).text());
+}
+
+self.addEventListener('install', event => {
+  event.waitUntil(cacheShell().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, IMAGE_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(name => name.startsWith('menu-lexicon-') && !keep.includes(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+async function trimImageCache(cache) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - MAX_CACHED_IMAGES)).map(key => cache.delete(key)));
+}
+
+// Pages: network first so deploys show up, the cached shell when offline.
+// Only a good answer for the shell itself refreshes it: an error page or another path would replace the app.
+// Its bundles are brought up to date after the page is answered.
+async function handleNavigation(event) {
+  const { request } = event;
+  try {
+    const response = await fetch(request);
+    if (response.ok && !response.redirected && new URL(request.url).pathname === '/') {
+      const cache = await caches.open(SHELL_CACHE);
+      await cache.put('/', response.clone());
+      event.waitUntil(response.clone().text().then(html => cacheAssets(cache, html)).catch(err => console.error('Could not update cached bundles:', err)));
+    }
+    return response;
+  } catch (err) {
+    return (await caches.match('/')) || Response.error();
+  }
+}
+
+// Bundles are content-hashed, so a cached copy is always right
+async function handleAsset(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.put(request, response.clone());
+  }
+  return response;
+}
+
+// Dish photos: cache first, keeping opaque cross-origin responses too
+async function handleImage(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === 'opaque') {
+    const cache = await caches.open(IMAGE_CACHE);
+    await cache.put(request, response.clone());
+    trimImageCache(cache);
+  }
+  return response;
+}
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  // Published restaurant pages (and their QR codes) are the server's, not the app's
+  if (sameOrigin && (url.pathname.startsWith('/api/') || url.pathname.startsWith('/menu/'))) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event));
+  } else if (sameOrigin && (url.pathname.startsWith('/assets/') || SHELL_URLS.includes(url.pathname))) {
+    event.respondWith(handleAsset(request));
+  } else if (request.destination === 'image') {
+    event.respondWith(handleImage(request));
+  }
+});
@@ -0,0 +1,226 @@
+#!/usr/bin/env node
+import dotenv from 'dotenv';
+import { readdir, readFile, stat, writeFile } from 'fs/promises';
+import { basename, dirname, extname, join, relative } from 'path';
+import { parseArgs } from 'util';
+import { analyzeMenu, validateAnalyzeRequest } from '../lib/analyze.js';
+import { loadExchangeRates } from '../lib/currency.js';
+import { compareRuns, scoreAnalysis, summarizeScores, validateFixture } from '../lib/evaluate.js';
+import { loadGlossary } from '../lib/glossary/index.js';
+import { PROMPT_VERSION } from '../lib/prompt.js';
+import { createProviderFromEnv } from '../lib/providers/index.js';
+
+// Batch analysis with golden-fixture scoring. Runs the same pipeline as /api/analyze over menu files,
+// compares the dishes found with <name>.expected.json fixtures and writes the results as JSON, so prompt
+// versions can be compared run against run. See "Evaluation" in the README.
+
+const USAGE = `Usage: npm run evaluate -- <menu files or folders...> [options]
+
+  --fixtures <dir>     where <name>.expected.json fixtures live (default: next to each menu)
+  --provider <name>    mock, recorded or anthropic (default: MODEL_PROVIDER, else anthropic)
+  --recordings <dir>   recordings for the recorded provider (default: RECORDINGS_DIR or .cache/recordings)
+  --record <mode>      replay, record or auto (default: RECORDINGS_MODE, else replay)
+  --language <code>    language for the definitions (default: the fixture's, else en)
+  --no-glossary        leave glossary definitions out, to score the model alone
+  --out <file>         write the results as JSON
+  --compare <file>     compare with the results of an earlier run
+  --help               show this message`;
+
+// Menu files by extension, as the app would send them
+const MEDIA_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.heic': 'image/heic',
+  '.heif': 'image/heif',
+  '.pdf': 'application/pdf'
+};
+const TEXT_EXTENSIONS = ['.txt', '.html', '.htm'];
+const FIXTURE_SUFFIX = '.expected.json';
+
+const isMenuFile = file => extname(file).toLowerCase() in MEDIA_TYPES || TEXT_EXTENSIONS.includes(extname(file).toLowerCase());
+
+const fixtureName = file => `${basename(file, extname(file))}${FIXTURE_SUFFIX}`;
+
+async function listDir(dir) {
+  try {
+    return await readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Folders are read one level deep, in name order so runs line up, and only for menus with a fixture: a
+// folder of menus can hold other files (an index.html, notes) that aren't menus. Files named on the
+// command line run either way.
+async function findMenuFiles(paths, fixturesDir) {
+  const files = [];
+  for (const path of paths) {
+    if ((await stat(path)).isDirectory()) {
+      const names = await readdir(path);
+      const fixtures = new Set(fixturesDir ? await listDir(fixturesDir) : names);
+      const menus = names.filter(name => isMenuFile(name) && fixtures.has(fixtureName(name))).sort();
+      files.push(...menus.map(name => join(path, name)));
+    } else {
+      files.push(path);
+    }
+  }
+  return files;
+}
+
+async function readFixture(file, fixturesDir) {
+  const fixtureFile = join(fixturesDir || dirname(file), fixtureName(file));
+  try {
+    return { fixtureFile, fixture: validateFixture(JSON.parse(await readFile(fixtureFile, 'utf8')), fixtureFile) };
+  } catch (error) {
+    if (error.code === 'ENOENT') return { fixtureFile: null, fixture: null };
+    throw error;
+  }
+}
+
+// The request body the app would send for this file
+async function menuRequest(file, language) {
+  const extension = extname(file).toLowerCase();
+  if (TEXT_EXTENSIONS.includes(extension)) {
+    const content = await readFile(file, 'utf8');
+    return extension === '.txt' ? { text: content, language } : { html: content, language };
+  }
+  if (!MEDIA_TYPES[extension]) {
+    throw new Error(`Not a menu file: ${file}`);
+  }
+  return { image: (await readFile(file)).toString('base64'), mediaType: MEDIA_TYPES[extension], language };
+}
+
+async function evaluateFile(file, { fixturesDir, language, options }) {
+  const { fixtureFile, fixture } = await readFixture(file, fixturesDir);
+  const input = validateAnalyzeRequest(await menuRequest(file, language || fixture?.language));
+  const response = await analyzeMenu(input, options);
+
+  return {
+    file: relative(process.cwd(), file),
+    fixture: fixtureFile && relative(process.cwd(), fixtureFile),
+    language: input.language,
+    score: fixture ? scoreAnalysis(response, fixture) : null,
+    // Files without a fixture still record what was found, for comparing runs
+    dishes: fixture ? undefined : response.items.map(({ name, definition, confidence, source }) => ({ name, definition, confidence, source })),
+    warnings: response.warnings,
+    usage: response.usage
+  };
+}
+
+const percent = value => (value === null ? '–' : `${Math.round(value * 100)}%`);
+const signed = value => (value === null ? '–' : `${value > 0 ? '+' : ''}${Math.round(value * 100)}`);
+
+function printReport(results) {
+  const rows = results.files.map(result => {
+    if (result.error) return [result.file, 'error', '', '', '', result.error];
+    if (!result.score) return [result.file, `${result.dishes.length} found`, '', '', '', 'no fixture'];
+    const { matched, expected, found, precision, recall, definitionDrift, missing, extra } = result.score;
+    const notes = [missing.length && `missing: ${missing.join(', ')}`, extra.length && `extra: ${extra.join(', ')}`].filter(Boolean);
+    return [result.file, `${matched}/${expected} (${found} found)`, percent(precision), percent(recall), percent(definitionDrift), notes.join('; ')];
+  });
+
+  const { totals } = results;
+  rows.push(['total', `${totals.matched}/${totals.expected} (${totals.found} found)`, percent(totals.precision), percent(totals.recall), percent(totals.definitionDrift), totals.failed ? `${totals.failed} failed` : '']);
+
+  const header = ['menu', 'dishes', 'precision', 'recall', 'drift', ''];
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => row[column].length)));
+  const line = row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+
+  console.log(`\nPrompt v${results.promptVersion}, ${results.provider} (${results.model})`);
+  console.log(line(header));
+  rows.forEach(row => console.log(line(row)));
+
+  if (results.comparison) {
+    const { previousPromptVersion, precision, recall, definitionDrift, sharedDishes, driftFromPrevious } = results.comparison;
+    console.log(`\nAgainst prompt v${previousPromptVersion}: precision ${signed(precision)}, recall ${signed(recall)}, drift ${signed(definitionDrift)} points`);
+    console.log(`${sharedDishes} dish${sharedDishes === 1 ? '' : 'es'} in both runs, definitions drifted ${percent(driftFromPrevious)} on average`);
+  }
+}
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      fixtures: { type: 'string' },
+      provider: { type: 'string' },
+      recordings: { type: 'string' },
+      record: { type: 'string' },
+      language: { type: 'string' },
+      'no-glossary': { type: 'boolean', default: false },
+      out: { type: 'string' },
+      compare: { type: 'string' },
+      help: { type: 'boolean', default: false }
+    }
+  });
+
+  if (values.help || positionals.length === 0) {
+    console.log(USAGE);
+    process.exitCode = values.help ? 0 : 1;
+    return;
+  }
+
+  dotenv.config();
+  const provider = createProviderFromEnv({
+    ...process.env,
+    ...(values.provider && { MODEL_PROVIDER: values.provider }),
+    ...(values.recordings && { RECORDINGS_DIR: values.recordings }),
+    ...(values.record && { RECORDINGS_MODE: values.record })
+  });
+  const previous = values.compare ? JSON.parse(await readFile(values.compare, 'utf8')) : null;
+
+  const [exchangeRates, glossary] = await Promise.all([
+    loadExchangeRates(),
+    values['no-glossary'] ? null : loadGlossary()
+  ]);
+  // No cache, dish images or corrections: the model's reading is what's being measured
+  const options = { provider, cache: null, images: null, exchangeRates, glossary, corrections: [] };
+
+  // One file at a time keeps the output readable and stays under API rate limits
+  const menuFiles = await findMenuFiles(positionals, values.fixtures);
+  if (menuFiles.length === 0) {
+    console.error(`No menus to evaluate: folders only yield menus with a <name>${FIXTURE_SUFFIX} fixture`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const files = [];
+  for (const file of menuFiles) {
+    try {
+      files.push(await evaluateFile(file, { fixturesDir: values.fixtures, language: values.language, options }));
+    } catch (error) {
+      console.log(`${file}: ${error.message}`);
+      files.push({ file: relative(process.cwd(), file), error: error.message });
+    }
+  }
+
+  const results = {
+    createdAt: new Date().toISOString(),
+    promptVersion: PROMPT_VERSION,
+    provider: provider.name,
+    model: provider.model,
+    glossary: Boolean(glossary),
+    totals: summarizeScores(files),
+    files
+  };
+  if (previous) {
+    results.comparison = compareRuns(results, previous);
+  }
+
+  printReport(results);
+  if (values.out) {
+    await writeFile(values.out, JSON.stringify(results, null, 2));
+    console.log(`\nResults written to ${values.out}`);
+  }
+  if (results.totals.failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,177 @@
+import { dishVariantKey } from '../lib/pages.js';
+
+// Saved menus and favorite dishes, kept in IndexedDB so past menus open without a connection.
+// `menus` holds { id, savedAt, restaurant, language, thumbnail, pageCount, itemCount, sections, published } and
+// `menuPages` holds the analyzed pages under the same id, so listing the history never loads the photos.
+// `published` is { id, url, qrUrl, editToken, languages, updatedAt } once the menu is published as a restaurant page.
+// `favorites` holds dish snapshots { key, name, definition, allergens, diet, price, restaurant, menuId, savedAt }.
+
+const DB_NAME = 'menuLexicon';
+const DB_VERSION = 1;
+const THUMBNAIL_SIZE = 160;
+
+let databasePromise = null;
+
+function openDatabase() {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('menus', { keyPath: 'id' });
+        db.createObjectStore('menuPages', { keyPath: 'id' });
+        db.createObjectStore('favorites', { keyPath: 'key' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Let a later call try again (private mode can refuse the first open)
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+  return databasePromise;
+}
+
+// Run requests in one transaction; resolves with the result of the request `run` returns, once committed
+async function transact(storeNames, mode, run) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeNames, mode);
+    const request = run(transaction);
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+function newestFirst(a, b) {
+  return b.savedAt.localeCompare(a.savedAt);
+}
+
+// Saved menus without their pages, newest first
+export async function listMenus() {
+  const menus = await transact('menus', 'readonly', transaction => transaction.objectStore('menus').getAll());
+  return menus.sort(newestFirst);
+}
+
+// A saved menu with its pages, or null
+export async function loadMenu(id) {
+  let menuRequest;
+  const pageRecord = await transact(['menus', 'menuPages'], 'readonly', transaction => {
+    menuRequest = transaction.objectStore('menus').get(id);
+    return transaction.objectStore('menuPages').get(id);
+  });
+  return menuRequest.result ? { ...menuRequest.result, pages: pageRecord?.pages || [] } : null;
+}
+
+// Save an analyzed menu and return its id. Passing the id of a saved menu replaces it
+// (adding a page re-analyzes the menu), keeping its original date.
+export async function saveMenu({ id = null, restaurant = '', language, thumbnail = null, pages, sections }) {
+  const menuId = id || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  const existing = id ? await transact('menus', 'readonly', transaction => transaction.objectStore('menus').get(id)) : null;
+
+  const menu = {
+    id: menuId,
+    savedAt: existing?.savedAt || new Date().toISOString(),
+    restaurant: restaurant.trim(),
+    language,
+    thumbnail,
+    pageCount: pages.length,
+    itemCount: sections.reduce((count, section) => count + section.items.length, 0),
+    sections,
+    published: existing?.published ?? null
+  };
+
+  await transact(['menus', 'menuPages'], 'readwrite', transaction => {
+    transaction.objectStore('menuPages').put({ id: menuId, pages });
+    return transaction.objectStore('menus').put(menu);
+  });
+  return menuId;
+}
+
+export async function renameMenu(id, restaurant) {
+  await transact('menus', 'readwrite', transaction => {
+    const store = transaction.objectStore('menus');
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, restaurant: restaurant.trim() });
+    };
+    return request;
+  });
+}
+
+// Remember (or, with null, forget) where a saved menu is published and the token to change it
+export async function setPublished(id, published) {
+  await transact('menus', 'readwrite', transaction => {
+    const store = transaction.objectStore('menus');
+    const request = store.get(id);
+    request.onsuccess = () => {
+      if (request.result) store.put({ ...request.result, published });
+    };
+    return request;
+  });
+}
+
+export async function deleteMenu(id) {
+  await transact(['menus', 'menuPages'], 'readwrite', transaction => {
+    transaction.objectStore('menuPages').delete(id);
+    return transaction.objectStore('menus').delete(id);
+  });
+}
+
+// Favorites are keyed by dish name (without accents or case), so a dish is starred once no matter how
+// many menus list it. Variants like "Arancini (al ragù)" and "Arancini (al burro)" are starred apart.
+export function favoriteKey(dish) {
+  return dishVariantKey(dish.name) || String(dish.name || '').trim();
+}
+
+export async function listFavorites() {
+  const favorites = await transact('favorites', 'readonly', transaction => transaction.objectStore('favorites').getAll());
+  return favorites.sort(newestFirst);
+}
+
+export async function addFavorite(dish, { menuId = null, restaurant = '' } = {}) {
+  const { name, definition, allergens = [], diet = [], price = null, imageUrl = null } = dish;
+  await transact('favorites', 'readwrite', transaction => transaction.objectStore('favorites').put({
+    key: favoriteKey(dish),
+    name,
+    definition,
+    allergens,
+    diet,
+    price,
+    imageUrl,
+    restaurant: restaurant.trim(),
+    menuId,
+    savedAt: new Date().toISOString()
+  }));
+}
+
+export async function removeFavorite(key) {
+  await transact('favorites', 'readwrite', transaction => transaction.objectStore('favorites').delete(key));
+}
+
+// Small JPEG of a page preview for the history list
+export function createThumbnail(src) {
+  if (!src) return Promise.resolve(null);
+
+  return new Promise(resolve => {
+    const img = new Image();
+    img.onload = () => {
+      const ratio = Math.min(1, THUMBNAIL_SIZE / Math.max(img.width, img.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(img.width * ratio);
+      canvas.height = Math.round(img.height * ratio);
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/jpeg', 0.7));
+    };
+    // A missing thumbnail isn't worth failing the save over
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+}
@@ -0,0 +1,104 @@
+import { isIdentityTransform, readExifOrientation, rotatedSize } from '../lib/image-transform.js';
+
+// Photo editing before analysis: undo the EXIF orientation, apply the user's rotation and crop, and
+// compress the result for upload. Transforms are described in lib/image-transform.js.
+
+const MAX_DIMENSION = 1600;
+// Stay well under the model's 5MB image limit
+const MAX_BYTES = 3.5 * 1024 * 1024;
+
+// EXIF orientation of an uploaded file (1 for anything but a JPEG that carries one)
+export async function readOrientation(file) {
+  if (!file || file.type !== 'image/jpeg') return 1;
+  return readExifOrientation(new Uint8Array(await file.slice(0, 64 * 1024).arrayBuffer()));
+}
+
+// Browsers since 2020 turn JPEGs upright themselves when decoding (CSS image-orientation: from-image)
+function browserAppliesOrientation() {
+  return typeof CSS !== 'undefined' && CSS.supports?.('image-orientation', 'from-image');
+}
+
+function loadImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error('Could not read this photo.'));
+    img.src = src;
+  });
+}
+
+// Draw `image` (stored with EXIF `orientation`) upright onto a new canvas
+function drawUpright(image, orientation) {
+  const { naturalWidth: width, naturalHeight: height } = image;
+  const swap = orientation >= 5;
+  const canvas = document.createElement('canvas');
+  canvas.width = swap ? height : width;
+  canvas.height = swap ? width : height;
+
+  const ctx = canvas.getContext('2d');
+  // The standard EXIF orientation matrices
+  const matrices = {
+    2: [-1, 0, 0, 1, width, 0],
+    3: [-1, 0, 0, -1, width, height],
+    4: [1, 0, 0, -1, 0, height],
+    5: [0, 1, 1, 0, 0, 0],
+    6: [0, 1, -1, 0, height, 0],
+    7: [0, -1, -1, 0, height, width],
+    8: [0, -1, 1, 0, 0, width]
+  };
+  if (matrices[orientation]) ctx.setTransform(...matrices[orientation]);
+  ctx.drawImage(image, 0, 0);
+  return canvas;
+}
+
+// The photo as every viewer shows it: an image or canvas with its width and height
+export async function loadUpright(src, orientation = 1) {
+  const image = await loadImage(src);
+  if (orientation <= 1 || browserAppliesOrientation()) {
+    return { source: image, width: image.naturalWidth, height: image.naturalHeight };
+  }
+  const canvas = drawUpright(image, orientation);
+  return { source: canvas, width: canvas.width, height: canvas.height };
+}
+
+// Draw the upright photo rotated and cropped, scaled to fit `maxDimension`
+export function renderEdited({ source, width, height }, { rotate = 0, crop = null }, maxDimension = MAX_DIMENSION) {
+  const rotated = rotatedSize(width, height, rotate);
+  const area = crop || { x: 0, y: 0, width: 1, height: 1 };
+  const outWidth = rotated.width * area.width;
+  const outHeight = rotated.height * area.height;
+  const scale = Math.min(1, maxDimension / Math.max(outWidth, outHeight));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(Math.round(outWidth * scale), 1);
+  canvas.height = Math.max(Math.round(outHeight * scale), 1);
+
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  // Move the crop's corner to the origin, then draw the photo turned about its center
+  ctx.translate(-area.x * rotated.width, -area.y * rotated.height);
+  ctx.translate(rotated.width / 2, rotated.height / 2);
+  ctx.rotate((rotate * Math.PI) / 180);
+  ctx.drawImage(source, -width / 2, -height / 2, width, height);
+  return canvas;
+}
+
+// JPEG data URL under MAX_BYTES, lowering the quality as needed
+function compressCanvas(canvas) {
+  let quality = 0.8;
+  let result = canvas.toDataURL('image/jpeg', quality);
+  while (result.length * 0.75 > MAX_BYTES && quality > 0.2) {
+    quality -= 0.1;
+    result = canvas.toDataURL('image/jpeg', quality);
+  }
+  return result;
+}
+
+// The photo to send for a page: upright, edited and compressed. Returns { dataUrl, transform }, where transform
+// is null when nothing was changed. `src` is the original file's object URL or data URL.
+export async function prepareImage(src, { orientation = 1, rotate = 0, crop = null } = {}) {
+  const upright = await loadUpright(src, orientation);
+  const dataUrl = compressCanvas(renderEdited(upright, { rotate, crop }));
+  const transform = { orientation, rotate, crop };
+  return { dataUrl, transform: isIdentityTransform(transform) && orientation === 1 ? null : transform };
+}
@@ -4,4 +4,12 @@ const app = new App({
   target: document.getElementById('app')
 })
 
+// The service worker makes the app and saved menus work offline. Only in builds: in dev it would
+// serve stale modules.
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.error('Service worker failed:', err))
+  })
+}
+
 export default app
@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAccessControl, createAccessControlFromEnv, createRateLimiter, parseAccessTokens, parseRateLimit } from '../lib/access/index.js';
+
+const request = (token, ip = '203.0.113.1', headers = {}) => ({
+  headers: { ...(token ? { authorization: `Bearer ${token}` } : {}), ...headers },
+  socket: { remoteAddress: ip }
+});
+
+// The status of what `run` throws
+function statusOf(run) {
+  try {
+    run();
+  } catch (error) {
+    return error.status;
+  }
+  return null;
+}
+
+test('parseRateLimit reads counts per minute, hour or day', () => {
+  assert.deepEqual(parseRateLimit('30/hour', 'RATE_LIMIT_IP'), { limit: 30, windowMs: 3600000, label: '30/hour' });
+  assert.deepEqual(parseRateLimit(' 5 / minute ', 'RATE_LIMIT_IP'), { limit: 5, windowMs: 60000, label: '5/minute' });
+  assert.equal(parseRateLimit('off', 'RATE_LIMIT_IP'), null);
+  assert.throws(() => parseRateLimit('0/day', 'RATE_LIMIT_IP'), /Invalid RATE_LIMIT_IP "0\/day"/);
+  assert.throws(() => parseRateLimit('30 per hour', 'RATE_LIMIT_TOKEN'), /Invalid RATE_LIMIT_TOKEN/);
+});
+
+test('the rate limiter allows `limit` requests a window, each caller on their own', () => {
+  let time = 0;
+  const limiter = createRateLimiter({ limit: 2, windowMs: 1000 }, { now: () => time });
+
+  assert.deepEqual(limiter.hit('a'), { allowed: true, limit: 2, remaining: 1, resetAt: 1000 });
+  assert.equal(limiter.hit('a').allowed, true);
+  assert.equal(limiter.peek('a').allowed, false);
+  assert.deepEqual(limiter.hit('a'), { allowed: false, limit: 2, remaining: 0, resetAt: 1000 });
+  assert.equal(limiter.hit('b').allowed, true);
+
+  time = 1000;
+  assert.equal(limiter.peek('a').allowed, true);
+  assert.deepEqual(limiter.hit('a'), { allowed: true, limit: 2, remaining: 1, resetAt: 2000 });
+});
+
+test('parseAccessTokens names tokens, by position when unnamed', () => {
+  assert.deepEqual(parseAccessTokens('kiosk:s3cret, t0ken ,'), [{ name: 'kiosk', token: 's3cret' }, { name: 'key-2', token: 't0ken' }]);
+  assert.deepEqual(parseAccessTokens(undefined), []);
+});
+
+test('with tokens set, callers need a right one and are limited per token', () => {
+  const access = createAccessControl({
+    tokens: parseAccessTokens('kiosk:s3cret,alice:0ther'),
+    ipLimit: parseRateLimit('1/hour'),
+    tokenLimit: parseRateLimit('2/hour')
+  });
+
+  assert.equal(statusOf(() => access.identify(request(null))), 401);
+  assert.equal(statusOf(() => access.identify(request('s3cre'))), 401);
+  const kiosk = access.identify(request('s3cret'));
+  assert.deepEqual(kiosk, { key: 'kiosk', ip: '203.0.113.1' });
+
+  assert.equal(access.count(kiosk).remaining, 1);
+  assert.equal(access.count(kiosk).remaining, 0);
+  assert.equal(statusOf(() => access.count(kiosk)), 429);
+  assert.equal(access.count(access.identify(request('0ther'))).remaining, 1);
+});
+
+test('an address that sent too many wrong tokens is refused even a right one until the window resets', () => {
+  const access = createAccessControl({ tokens: parseAccessTokens('kiosk:s3cret'), failedTokenLimit: parseRateLimit('3/hour') });
+
+  for (let attempt = 0; attempt < 3; attempt++) {
+    assert.equal(statusOf(() => access.identify(request(`guess-${attempt}`))), 401);
+  }
+  assert.equal(statusOf(() => access.identify(request('guess-3'))), 429);
+  assert.equal(statusOf(() => access.identify(request('s3cret'))), 429);
+  assert.deepEqual(access.identify(request('s3cret', '203.0.113.2')), { key: 'kiosk', ip: '203.0.113.2' });
+  // A missing token is not a guess
+  assert.equal(statusOf(() => access.identify(request(null, '203.0.113.3'))), 401);
+});
+
+test('anonymous callers are limited per address, and may not publish', () => {
+  const access = createAccessControl({ ipLimit: parseRateLimit('1/hour'), publishLimit: parseRateLimit('1/day') });
+  const caller = access.identify(request(null, '203.0.113.1', { 'x-forwarded-for': '198.51.100.7' }));
+
+  assert.deepEqual(caller, { key: null, ip: '203.0.113.1' });
+  assert.equal(access.count(caller).remaining, 0);
+  assert.equal(statusOf(() => access.count(caller)), 429);
+  assert.equal(access.count({ key: null, ip: '203.0.113.2' }).remaining, 0);
+  assert.equal(statusOf(() => access.countPublish(caller)), 403);
+  assert.equal(access.countPublish({ key: 'kiosk', ip: '203.0.113.1' }).remaining, 0);
+  assert.equal(statusOf(() => access.countPublish({ key: 'kiosk', ip: '203.0.113.1' })), 429);
+});
+
+test('createAccessControlFromEnv believes X-Forwarded-For only behind a trusted proxy', () => {
+  const forwarded = request(null, '10.0.0.1', { 'x-forwarded-for': '198.51.100.7, 10.0.0.1' });
+
+  assert.equal(createAccessControlFromEnv({}).identify(forwarded).ip, '10.0.0.1');
+  assert.equal(createAccessControlFromEnv({ TRUST_PROXY: 'true' }).identify(forwarded).ip, '198.51.100.7');
+  assert.deepEqual(createAccessControlFromEnv({}).settings, {
+    tokensRequired: false,
+    tokenNames: [],
+    ipLimit: '60/hour',
+    tokenLimit: 'off',
+    publishLimit: '20/day',
+    failedTokenLimit: '10/hour'
+  });
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryStore } from '../lib/analysis-cache/index.js';
+
+const entry = key => ({ key, createdAt: '2026-10-18T00:00:00.000Z', itemCount: 1, message: { content: [] } });
+
+test('the memory store drops the least recently used entries past its size', async () => {
+  const store = createMemoryStore({ maxEntries: 2 });
+  await store.set('a', entry('a'));
+  await store.set('b', entry('b'));
+  assert.equal((await store.get('a')).key, 'a');
+
+  await store.set('c', entry('c'));
+  assert.equal(await store.get('b'), null);
+  assert.deepEqual((await store.list()).map(summary => summary.key), ['a', 'c']);
+
+  await store.set('a', entry('a'));
+  await store.set('d', entry('d'));
+  assert.deepEqual((await store.list()).map(summary => summary.key), ['a', 'd']);
+});
+
+test('the memory store hands out copies', async () => {
+  const store = createMemoryStore();
+  await store.set('a', entry('a'));
+  (await store.get('a')).itemCount = 99;
+
+  assert.equal((await store.get('a')).itemCount, 1);
+  assert.equal((await store.list())[0].message, undefined);
+});
@@ -0,0 +1,49 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyzeMenu, streamMenuAnalysis } from '../lib/analyze.js';
+import { CONTRACT_VERSION } from '../lib/contract.js';
+import { MOCK_DISHES, MOCK_SECTIONS, createMockProvider } from '../lib/providers/mock.js';
+
+// The mock provider ignores the menu, so any text page will do
+const input = { pages: [{ text: 'Arancini 3,50\nCaponata 7,00', mediaType: 'text/plain' }], language: 'en' };
+
+test('analyzeMenu reads every dish the model returns into the response contract', async () => {
+  const provider = createMockProvider();
+  const response = await analyzeMenu(input, { provider });
+
+  assert.equal(response.version, CONTRACT_VERSION);
+  assert.deepEqual(response.sections.map(section => section.name), MOCK_SECTIONS.map(section => section.name));
+  assert.deepEqual(response.items.map(item => item.name), MOCK_DISHES.map(dish => dish.name));
+  assert.deepEqual(response.warnings, []);
+  assert.equal(response.usage.modelCalls, 1);
+  assert.equal(provider.calls.length, 1);
+
+  const arancini = response.items[0];
+  assert.equal(arancini.section, 0);
+  assert.equal(arancini.page, 0);
+  assert.equal(arancini.source, 'model');
+  assert.deepEqual(arancini.price, { amount: 3.5, currency: 'EUR' });
+});
+
+test('streamMenuAnalysis sends each dish once and ends with the same result', async () => {
+  const events = [];
+  await streamMenuAnalysis(input, { provider: createMockProvider({ chunkSize: 16 }) }, event => events.push(event));
+
+  const done = events.at(-1);
+  assert.equal(events[0].type, 'start');
+  assert.equal(done.type, 'done');
+  assert.deepEqual(
+    events.filter(event => event.type === 'item').map(event => event.item.name),
+    done.items.map(item => item.name)
+  );
+});
+
+test('a reply that never parses is retried, then fails with the usage it spent', async () => {
+  const provider = createMockProvider({ replies: [{ text: 'Sorry, no menu here' }, { text: 'Still no menu' }] });
+
+  await assert.rejects(analyzeMenu(input, { provider }), error => {
+    assert.equal(error.status, 502);
+    assert.equal(error.usage.modelCalls, 2);
+    return true;
+  });
+});
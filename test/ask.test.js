@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createAccessControl } from '../lib/access/index.js';
+import { validateAskRequest } from '../lib/ask.js';
+import { createAskHandler } from '../lib/http.js';
+import { createMockProvider } from '../lib/providers/mock.js';
+
+// Just enough of an Express response for the handlers
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+}
+
+const sections = [{ name: 'Antipasti', items: [{ name: 'Arancini', definition: 'Fried rice balls', price: { amount: 3.5, currency: 'EUR' } }] }];
+
+test('POST /api/ask answers 400, not 500, for a malformed dish', async t => {
+  t.mock.method(console, 'log', () => {});
+  const provider = createMockProvider();
+  const handleAsk = createAskHandler({ provider, access: createAccessControl(), usageLog: null });
+
+  const malformed = [
+    null,
+    { name: 'Arancini', price: { amount: '3.50', currency: 'EUR' } },
+    { name: 'Arancini', allergens: 'gluten' }
+  ];
+  for (const item of malformed) {
+    const res = fakeResponse();
+    await handleAsk({ method: 'POST', headers: {}, body: { question: 'Is it spicy?', sections: [{ name: null, items: [item] }] } }, res);
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, /^sections\[0\]\.items\[0\]: /);
+  }
+  assert.equal(provider.calls.length, 0);
+
+  const res = fakeResponse();
+  await handleAsk({ method: 'POST', headers: {}, body: { question: 'Is it spicy?', sections } }, res);
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+});
+
+test('validateAskRequest caps history messages, sections and dishes', () => {
+  const history = content => [{ role: 'user', content: 'Starters?' }, { role: 'assistant', content }];
+
+  assert.equal(validateAskRequest({ question: 'And mains?', history: history('Arancini (1)'), sections }).history.length, 2);
+  assert.throws(() => validateAskRequest({ question: 'And mains?', history: history('x'.repeat(8001)), sections }), /history\[1\] is too long/);
+  assert.throws(() => validateAskRequest({ question: 'Hi', sections: Array.from({ length: 101 }, () => ({ items: [] })) }), /Too many sections/);
+  assert.throws(() => validateAskRequest({ question: 'Hi', sections: [{ items: Array.from({ length: 501 }, () => ({ name: 'x' })) }] }), /Too many dishes/);
+});
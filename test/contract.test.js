@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CONTRACT_VERSION, buildAnalysisResponse, isUncertain, readAnalysisResponse } from '../lib/contract.js';
+
+const dish = (name, extra = {}) => ({ name, definition: `${name} definition`, page: 0, allergens: [], diet: [], source: 'model', ...extra });
+
+test('buildAnalysisResponse keeps only contract fields and drops invalid items with a warning', t => {
+  t.mock.method(console, 'log', () => {});
+  const response = buildAnalysisResponse([
+    { name: 'Antipasti', translation: 'Starters', items: [dish('Arancini', { confidence: 0.95, extra: 'dropped', price: null }), dish('', {})] },
+    { name: null, items: [dish('Caponata', { box: { x: 0.1, y: 0.2, width: 1.5, height: 0.1 } }), dish('Cannoli', { allergens: [{ tag: 'gluten', confidence: 'high' }] })] }
+  ], { usage: { inputTokens: 1, outputTokens: 2, modelCalls: 1 } });
+
+  assert.equal(response.version, CONTRACT_VERSION);
+  assert.deepEqual(response.sections, [
+    { name: 'Antipasti', translation: 'Starters', description: null },
+    { name: null, translation: null, description: null }
+  ]);
+  assert.deepEqual(response.items, [
+    { name: 'Arancini', definition: 'Arancini definition', section: 0, page: 0, confidence: 0.95, allergens: [], diet: [], source: 'model' },
+    { name: 'Cannoli', definition: 'Cannoli definition', section: 1, page: 0, allergens: [{ tag: 'gluten', confidence: 'high' }], diet: [], source: 'model' }
+  ]);
+  assert.deepEqual(response.warnings.map(warning => [warning.code, warning.message]), [
+    ['invalid-items', '2 dishes could not be read and were left out']
+  ]);
+  assert.equal(response.cached, false);
+});
+
+test('readAnalysisResponse nests items under their sections, and refuses other versions and bad items', () => {
+  const response = buildAnalysisResponse([{ name: 'Dolci', items: [dish('Cannoli', { confidence: 0.55 })] }], { usage: null });
+  const sections = readAnalysisResponse(response);
+
+  assert.deepEqual(sections.map(section => [section.name, section.items.map(item => item.name)]), [['Dolci', ['Cannoli']]]);
+  assert.equal(sections[0].items[0].section, undefined);
+  assert.equal(isUncertain(sections[0].items[0]), true);
+
+  assert.throws(() => readAnalysisResponse({ ...response, version: 1 }), /Unsupported analysis response version 1/);
+  assert.throws(() => readAnalysisResponse({ ...response, items: [{ ...response.items[0], section: 3 }] }), /section must index sections/);
+  assert.throws(() => readAnalysisResponse({ ...response, items: [{ ...response.items[0], source: 'guess' }] }), /source must be/);
+});
@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { analyzeMenu } from '../lib/analyze.js';
+import {
+  confirmCorrection,
+  createFileCorrectionStore,
+  createMemoryCorrectionStore,
+  findCorrection,
+  loadCorrections,
+  submitCorrection,
+  validateCorrectionRequest
+} from '../lib/corrections/index.js';
+import { createMockProvider } from '../lib/providers/mock.js';
+
+const alice = { key: null, ip: '203.0.113.1' };
+const bob = { key: null, ip: '203.0.113.2' };
+
+const input = { pages: [{ text: 'Arancini 3,50\nCaponata 7,00', mediaType: 'text/plain' }], language: 'en' };
+const glossary = {
+  entries: [{ term: 'Caponata', aliases: [], definitions: { en: 'Eggplant stew from the glossary' }, allergens: [], diet: [] }]
+};
+
+test('the same correction from two callers is one record with two reporters, in memory and on file', async t => {
+  const dir = await mkdtemp(join(tmpdir(), 'corrections-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+
+  for (const store of [createMemoryCorrectionStore(), createFileCorrectionStore({ file: join(dir, 'corrections.json') })]) {
+    const correction = validateCorrectionRequest({ name: 'Caponata', language: 'en', definition: 'Eggplant stew' });
+    await submitCorrection(store, correction, alice);
+    await submitCorrection(store, correction, alice);
+    const record = await submitCorrection(store, correction, bob);
+
+    assert.equal(record.reports, 2);
+    assert.equal(record.dish, 'caponata');
+    assert.equal(record.confirmed, false);
+    assert.equal((await store.list()).length, 1);
+  }
+});
+
+test('a correction applies to its reporters right away, and to everyone once confirmed', async () => {
+  const store = createMemoryCorrectionStore();
+  const record = await submitCorrection(store, validateCorrectionRequest({ name: 'Cannoli', language: 'en', wrong: true }), alice);
+
+  assert.equal((await loadCorrections(store, alice)).length, 1);
+  assert.equal((await loadCorrections(store, bob)).length, 0);
+  assert.equal((await loadCorrections(store)).length, 0);
+
+  assert.equal((await confirmCorrection(store, record.id)).confirmed, true);
+  assert.equal((await loadCorrections(store, bob)).length, 1);
+  assert.equal(await confirmCorrection(store, 'missing'), null);
+});
+
+test('findCorrection keeps parenthetical variants apart', async () => {
+  const store = createMemoryCorrectionStore();
+  await submitCorrection(store, validateCorrectionRequest({ name: 'Arancini (al ragù)', language: 'en', wrong: true }), alice);
+  await submitCorrection(store, validateCorrectionRequest({ name: 'Caponata', language: 'en', correctedName: 'Caponata di melanzane' }), alice);
+  const corrections = await loadCorrections(store, alice);
+
+  assert.deepEqual(findCorrection('Arancini (al ragu)', corrections, 'en'), { wrong: true, name: null, definition: null });
+  assert.equal(findCorrection('Arancini (al burro)', corrections, 'en'), null);
+  assert.deepEqual(findCorrection('Caponata (Eggplant stew)', corrections, 'en'), { wrong: false, name: 'Caponata di melanzane', definition: null });
+});
+
+test('later analyses prefer corrections to both the model and the glossary', async () => {
+  const store = createMemoryCorrectionStore();
+  await submitCorrection(store, validateCorrectionRequest({ name: 'Caponata', language: 'en', definition: 'Eggplant stew, as corrected' }), alice);
+  await submitCorrection(store, validateCorrectionRequest({ name: 'Arancini', language: 'en', wrong: true }), alice);
+
+  const mine = await analyzeMenu(input, { provider: createMockProvider(), glossary, corrections: await loadCorrections(store, alice) });
+  const caponata = mine.items.find(item => item.name === 'Caponata');
+  assert.equal(caponata.definition, 'Eggplant stew, as corrected');
+  assert.equal(caponata.source, 'correction');
+  assert.equal(caponata.confidence, 1);
+  assert.equal(mine.items.some(item => item.name === 'Arancini'), false);
+
+  const theirs = await analyzeMenu(input, { provider: createMockProvider(), glossary, corrections: await loadCorrections(store, bob) });
+  assert.equal(theirs.items.find(item => item.name === 'Caponata').source, 'glossary');
+  assert.equal(theirs.items.some(item => item.name === 'Arancini'), true);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { convertPrice, loadExchangeRates, normalizePrice } from '../lib/currency.js';
+
+const amountOf = amount => normalizePrice({ amount, currency: 'EUR' })?.amount ?? null;
+
+test('normalizePrice reads decimal commas and points', () => {
+  assert.equal(amountOf('3,50'), 3.5);
+  assert.equal(amountOf('12.5'), 12.5);
+  assert.equal(amountOf('€ 7'), 7);
+  assert.equal(amountOf('0,500'), 0.5);
+  assert.equal(amountOf(9.9), 9.9);
+});
+
+test('normalizePrice reads thousands separators the way the menu means them', () => {
+  assert.equal(amountOf('1.250,00'), 1250);
+  assert.equal(amountOf('1,250.00'), 1250);
+  assert.equal(amountOf('1.250'), 1250);
+  assert.equal(amountOf('1,250'), 1250);
+  assert.equal(amountOf('1 250,50'), 1250.5);
+  assert.equal(amountOf("1'250.50"), 1250.5);
+  assert.equal(amountOf('12.500.000'), 12500000);
+});
+
+test('normalizePrice drops prices that were not printed and currencies it cannot read', () => {
+  assert.equal(normalizePrice(null), null);
+  assert.equal(amountOf('market price'), null);
+  assert.equal(amountOf(0), null);
+  assert.deepEqual(normalizePrice({ amount: '8', currency: ' chf ' }), { amount: 8, currency: 'CHF' });
+  assert.deepEqual(normalizePrice({ amount: '8', currency: '€' }), { amount: 8, currency: null });
+});
+
+test('convertPrice converts through the table base and rounds to cents', async () => {
+  const table = { base: 'EUR', updated: '2026-10-01', rates: { EUR: 1, USD: 1.09, JPY: 162.5 } };
+
+  assert.deepEqual(convertPrice({ amount: 3.5, currency: 'EUR' }, 'USD', table), { amount: 3.82, currency: 'USD', rateDate: '2026-10-01' });
+  assert.deepEqual(convertPrice({ amount: 1000, currency: 'JPY' }, 'USD', table), { amount: 6.71, currency: 'USD', rateDate: '2026-10-01' });
+  assert.equal(convertPrice({ amount: 5, currency: 'XYZ' }, 'USD', table), null);
+  assert.equal(convertPrice({ amount: 5, currency: null }, 'USD', table), null);
+  assert.equal(convertPrice({ amount: 5, currency: 'EUR' }, 'USD', null), null);
+
+  assert.equal((await loadExchangeRates()).rates.EUR, 1);
+});
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findConflicts, normalizeDietaryTags } from '../lib/dietary.js';
+
+test('normalizeDietaryTags keeps known tags once, with a confidence', () => {
+  const tags = normalizeDietaryTags({
+    allergens: ['gluten', { tag: 'dairy', confidence: 'medium' }, { tag: 'gluten', confidence: 'high' }, { tag: 'peanut' }, null],
+    diet: [{ tag: 'vegan', confidence: 'certain' }, 'nuts']
+  });
+
+  assert.deepEqual(tags, {
+    allergens: [{ tag: 'gluten', confidence: 'low' }, { tag: 'dairy', confidence: 'medium' }],
+    diet: [{ tag: 'vegan', confidence: 'low' }]
+  });
+  assert.deepEqual(normalizeDietaryTags({ allergens: 'gluten' }), { allergens: [], diet: [] });
+  assert.deepEqual(normalizeDietaryTags(), { allergens: [], diet: [] });
+});
+
+test('findConflicts flags avoided allergens and pork for halal diners, with the model confidence', () => {
+  const dish = {
+    allergens: [{ tag: 'gluten', confidence: 'high' }, { tag: 'nuts', confidence: 'low' }],
+    diet: [{ tag: 'pork', confidence: 'medium' }]
+  };
+
+  assert.deepEqual(findConflicts(dish, { avoid: ['nuts', 'shellfish', 'halal-questionable'], diets: [] }), [
+    { tag: 'nuts', confidence: 'low', reason: 'contains' },
+    { tag: 'halal-questionable', confidence: 'medium', reason: 'contains' }
+  ]);
+  assert.deepEqual(findConflicts(dish), []);
+});
+
+test('findConflicts asks for a confirmed diet, where vegan dishes count as vegetarian', () => {
+  const vegan = { allergens: [], diet: [{ tag: 'vegan', confidence: 'high' }] };
+  const untagged = { allergens: [], diet: [] };
+
+  assert.deepEqual(findConflicts(vegan, { avoid: [], diets: ['vegetarian', 'vegan'] }), []);
+  assert.deepEqual(findConflicts(untagged, { avoid: [], diets: ['vegetarian'] }), [
+    { tag: 'vegetarian', confidence: 'low', reason: 'not confirmed' }
+  ]);
+});
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compareRuns, definitionDrift, scoreAnalysis, summarizeScores, validateFixture } from '../lib/evaluate.js';
+
+const found = (...names) => ({ items: names.map(name => ({ name, definition: `${name} definition`, source: 'model' })) });
+const matches = score => score.dishes.map(dish => [dish.name, dish.expected]);
+
+test('scoreAnalysis keeps parenthetical variants apart and lets exact names claim first', () => {
+  const fixture = { dishes: [{ name: 'Arancini (al burro)' }, { name: 'Arancini (al ragù)' }, { name: 'Caponata' }] };
+  const score = scoreAnalysis(found('Caponatta', 'Arancini', 'Arancini (al ragu)', 'Caponata'), fixture);
+
+  assert.deepEqual(matches(score), [
+    ['Caponatta', null],
+    ['Arancini', 'Arancini (al burro)'],
+    ['Arancini (al ragu)', 'Arancini (al ragù)'],
+    ['Caponata', 'Caponata']
+  ]);
+  assert.equal(score.matched, 3);
+  assert.equal(score.precision, 0.75);
+  assert.equal(score.recall, 1);
+  assert.deepEqual(score.extra, ['Caponatta']);
+});
+
+test('scoreAnalysis matches aliases, small typos in long words and added descriptions, but not short-word slips', () => {
+  const fixture = { dishes: [{ name: 'Trapanese', aliases: ['Pasta alla trapanese'] }, { name: 'Pasta alla Norma' }, { name: 'Eoliana' }, { name: 'Ragù di polpo' }] };
+  const score = scoreAnalysis(found('Pasta alla Trapanese', 'Pasta alla Nonna', 'Eoliana pasta', 'Ragu di polpo (Octopus ragù)'), fixture);
+
+  assert.deepEqual(matches(score), [
+    ['Pasta alla Trapanese', 'Trapanese'],
+    ['Pasta alla Nonna', null],
+    ['Eoliana pasta', 'Eoliana'],
+    ['Ragu di polpo (Octopus ragù)', 'Ragù di polpo']
+  ]);
+  assert.deepEqual(score.missing, ['Pasta alla Norma']);
+});
+
+test('definitionDrift compares content words, in any script', () => {
+  assert.equal(definitionDrift('Fried rice balls with ragù', 'Rice balls, fried, with ragu'), 0);
+  assert.equal(definitionDrift('Fried rice balls', 'Sweet ricotta pastry'), 1);
+  assert.equal(definitionDrift('Rice balls (pistachio)', 'Rice balls'), 0.333);
+  assert.equal(definitionDrift('炸饭团，里面有肉酱', '炸饭团，里面有黄油'), 0.333);
+});
+
+test('summarizeScores and compareRuns total dishes across files', () => {
+  const fixture = validateFixture({ dishes: [{ name: 'Caponata', definition: 'Eggplant stew' }, { name: 'Cannoli' }] }, 'menu.expected.json');
+  const score = scoreAnalysis(found('Caponata', 'Panelle'), fixture);
+  const current = { promptVersion: 9, files: [{ file: 'menu.png', score }, { file: 'broken.png', error: 'No recorded reply' }] };
+  current.totals = summarizeScores(current.files);
+
+  assert.deepEqual(current.totals, { files: 2, failed: 1, expected: 2, found: 2, matched: 1, precision: 0.5, recall: 0.5, definitionDrift: 1 });
+  assert.throws(() => validateFixture({ dishes: [{ name: ' ' }] }, 'bad.expected.json'), /bad\.expected\.json: a fixture needs/);
+
+  const previous = {
+    promptVersion: 8,
+    totals: { ...current.totals, precision: 0.25, recall: null },
+    files: [{ file: 'menu.png', dishes: [{ name: 'Caponata', definition: 'Caponata definition' }, { name: 'Panelle (Chickpea fritters)', definition: 'x' }] }]
+  };
+  assert.deepEqual(compareRuns(current, previous), {
+    previousPromptVersion: 8,
+    precision: 0.25,
+    recall: null,
+    definitionDrift: 0,
+    sharedDishes: 1,
+    driftFromPrevious: 0
+  });
+});
@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportMenu, validateExportRequest } from '../lib/export/index.js';
+import { createExportHandler } from '../lib/http.js';
+
+// Just enough of an Express response for the handlers
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; }
+  };
+}
+
+const sections = [
+  {
+    name: 'Antipasti',
+    translation: 'Starters',
+    description: null,
+    items: [
+      {
+        name: 'Arancini',
+        definition: 'Fried rice balls, "crisp" outside',
+        price: { amount: 3.5, currency: 'EUR', converted: { amount: 3.8, currency: 'USD' } },
+        allergens: [{ tag: 'gluten', confidence: 'high' }],
+        diet: null,
+        page: 0,
+        box: { x: 0.1, y: 0.2, width: 0.3, height: 0.05 },
+        source: 'model',
+        confidence: 0.9
+      },
+      { name: '=SUM(A1)', definition: '<b>Not bold</b>', price: null, allergens: [], diet: [], page: 0, source: 'model' }
+    ]
+  }
+];
+const pages = [{ image: 'iVBORw0KGgo=', mediaType: 'image/png' }];
+
+const exportAs = async format => (await exportMenu(validateExportRequest({ format, title: 'Trattoria da Nino', sections, pages }))).body;
+
+test('the CSV export starts with a byte order mark, numbers every dish, quotes text and defuses formulas', async () => {
+  const csv = await exportAs('csv');
+  assert.equal(csv[0], '\ufeff');
+  const [header, arancini, formula] = csv.slice(1).trimEnd().split('\r\n');
+
+  assert.match(header, /^number,section,name,definition,price,currency,/);
+  assert.equal(arancini, '1,Antipasti (Starters),Arancini,"Fried rice balls, ""crisp"" outside",3.5,EUR,3.8,USD,Gluten (high),,1,model,0.9');
+  assert.match(formula, /^2,Antipasti \(Starters\),'=SUM\(A1\),/);
+});
+
+test('the Markdown and HTML exports list dishes with their prices and escape markup', async () => {
+  const markdown = await exportAs('md');
+  assert.match(markdown, /^# Trattoria da Nino\n/);
+  assert.match(markdown, /## Antipasti \(Starters\)/);
+  assert.match(markdown, /1\. \*\*Arancini\*\* · €3\.50 \(≈ \$3\.80\)/);
+
+  const html = await exportAs('html');
+  assert.match(html, /<img src="data:image\/png;base64,iVBORw0KGgo="/);
+  assert.match(html, /&lt;b&gt;Not bold&lt;\/b&gt;/);
+  assert.doesNotMatch(html, /<b>Not bold/);
+});
+
+test('POST /api/export answers 400 for menus the exporters cannot print', async () => {
+  const handleExport = createExportHandler();
+  const post = async body => {
+    const res = fakeResponse();
+    await handleExport({ method: 'POST', headers: {}, body }, res);
+    return res;
+  };
+  const withItem = item => [{ name: null, items: [item] }];
+
+  const cases = [
+    [{ format: 'docx', sections }, /Unknown format "docx"/],
+    [{ format: 'csv', sections: null }, /Missing or invalid sections/],
+    [{ format: 'csv', sections: withItem({ name: 'Arancini', price: { amount: '3,50' } }) }, /items\[0\]: price must be/],
+    [{ format: 'md', sections: withItem({ name: 'Arancini', diet: 'vegan' }) }, /items\[0\]: diet must be/],
+    [{ format: 'html', sections, pages: [{ image: '"><script>alert(1)</script>', mediaType: 'image/png' }] }, /Page 1: image must be base64/],
+    [{ format: 'html', sections, pages: [{ image: 'iVBORw0KGgo=', mediaType: 'text/html' }] }, /Page 1: photos must be/],
+    [{ format: 'html', sections, pages: [null] }, /Page 1 must be/]
+  ];
+  for (const [body, error] of cases) {
+    const res = await post(body);
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.error, error);
+  }
+
+  const res = await post({ format: 'md', title: 'Trattoria da Nino', sections });
+  assert.equal(res.statusCode, 200);
+  assert.match(res.headers['Content-Disposition'], /attachment; filename="trattoria-da-nino-\d{4}-\d{2}-\d{2}\.md"/);
+});
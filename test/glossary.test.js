@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyGlossary, matchGlossaryEntry, matchGlossaryText } from '../lib/glossary/match.js';
+
+const gluten = { tag: 'gluten', confidence: 'high' };
+const glossary = {
+  entries: [
+    { term: 'Caponata', aliases: [], definitions: { en: 'Sweet and sour eggplant stew' }, allergens: [{ tag: 'celery', confidence: 'high' }], diet: [] },
+    { term: 'Pasta alla Norma', aliases: ['Norma'], definitions: { en: 'Pasta with fried eggplant, tomato and ricotta salata' }, allergens: [gluten], diet: [] },
+    { term: 'Cannoli', aliases: [], definitions: { en: 'Fried pastry tubes filled with sweet ricotta' }, allergens: [gluten], diet: [] }
+  ]
+};
+
+test('matchGlossaryEntry tells exact matches from typos, and never lets a short word slip', () => {
+  assert.deepEqual(matchGlossaryEntry('Caponata (Eggplant stew)', glossary), { entry: glossary.entries[0], exact: true });
+  assert.deepEqual(matchGlossaryEntry('Caponatta', glossary), { entry: glossary.entries[0], exact: false });
+  assert.equal(matchGlossaryEntry('Pasta alla Nonna', glossary), null);
+  assert.equal(matchGlossaryEntry('Kaponata', glossary), null);
+  assert.equal(matchGlossaryEntry('—', glossary), null);
+});
+
+test('applyGlossary replaces the definition and adds curated tags only on an exact match', () => {
+  const dish = { name: 'Cannoli', definition: 'Pastry', allergens: [], diet: [] };
+  const exact = applyGlossary(dish, glossary);
+  assert.equal(exact.definition, 'Fried pastry tubes filled with sweet ricotta');
+  assert.equal(exact.source, 'glossary');
+  assert.equal(exact.glossaryTerm, 'Cannoli');
+  assert.deepEqual(exact.allergens, [gluten]);
+
+  const typo = applyGlossary({ ...dish, name: 'Cannolli' }, glossary);
+  assert.equal(typo.definition, 'Pastry');
+  assert.equal(typo.source, 'model');
+  assert.equal(typo.glossaryTerm, undefined);
+  assert.deepEqual(typo.allergens, []);
+});
+
+test('applyGlossary lets a typo only fill in a missing definition', () => {
+  const filled = applyGlossary({ name: 'Cannolli', definition: '', allergens: [], diet: [] }, glossary);
+  assert.equal(filled.definition, 'Fried pastry tubes filled with sweet ricotta');
+  assert.equal(filled.source, 'glossary');
+  assert.deepEqual(filled.allergens, []);
+
+  const elsewhere = applyGlossary({ name: 'Cannoli', definition: 'Pastry', allergens: [], diet: [] }, glossary, 'it');
+  assert.equal(elsewhere.definition, 'Pastry');
+  assert.equal(elsewhere.source, 'model');
+  assert.deepEqual(elsewhere.allergens, [gluten]);
+});
+
+test('matchGlossaryText finds glossary dishes under course headings, as written on the menu', () => {
+  const sections = matchGlossaryText('ANTIPASTI:\nCaponatta siciliana 6,00\nPrimi piatti\nPasta alla Norma 9\nPasta alla Nonna 9\nDolci\nCannoli e caffè', glossary);
+
+  assert.deepEqual(sections.map(section => section.name), ['ANTIPASTI:', 'Primi piatti', 'Dolci']);
+  assert.deepEqual(sections.map(section => section.items.map(item => item.name)), [['Caponatta'], ['Pasta alla Norma'], ['Cannoli']]);
+  assert.equal(sections[2].items[0].source, 'glossary');
+  assert.equal(sections[2].items[0].definition, 'Fried pastry tubes filled with sweet ricotta');
+});
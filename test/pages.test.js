@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { dishKey, mergePageSections } from '../lib/pages.js';
+
+const names = sections => sections.flatMap(section => section.items.map(item => `${item.name}@${item.page}`));
+
+test('dishKey keeps letters from every script and drops accents, case and translations', () => {
+  assert.equal(dishKey('Pâté (Liver spread)'), 'pate');
+  assert.equal(dishKey('担担面'), '担担面');
+  assert.equal(dishKey('Μουσακάς'), 'μουσακας');
+  assert.equal(dishKey('—'), '');
+});
+
+test('mergePageSections keeps distinct non-Latin dishes and parenthetical variants', () => {
+  const merged = mergePageSections([
+    [{ name: '面', items: [{ name: '担担面' }, { name: '小笼包' }, { name: '宫保鸡丁' }, { name: '…' }, { name: '—' }] }],
+    [{ name: 'Antipasti', items: [{ name: 'Arancini (al ragù)' }, { name: 'Arancini (al burro)' }] }]
+  ]);
+
+  assert.deepEqual(names(merged), ['担担面@0', '小笼包@0', '宫保鸡丁@0', '…@0', '—@0', 'Arancini (al ragù)@1', 'Arancini (al burro)@1']);
+});
+
+test('mergePageSections drops a dish repeated on a later page, filling in what it lacked', () => {
+  const merged = mergePageSections([
+    [{ name: 'Antipasti', items: [{ name: 'Caponata (Eggplant stew)', price: null }] }],
+    [{ name: 'Antipasti', items: [{ name: 'caponata', price: { amount: 7, currency: 'EUR' } }] }]
+  ]);
+
+  assert.deepEqual(names(merged), ['Caponata (Eggplant stew)@0']);
+  assert.deepEqual(merged[0].items[0].price, { amount: 7, currency: 'EUR' });
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPublishedPageHandler, createPublishedQrHandler } from '../lib/http.js';
+import { createMemoryMenuStore, publishMenu, validatePublishRequest } from '../lib/publish/index.js';
+import { batchSections, translateSections } from '../lib/publish/translate.js';
+import { createMockProvider } from '../lib/providers/mock.js';
+
+// Just enough of an Express response for the handlers
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; },
+    send(body) { this.body = body; return this; }
+  };
+}
+
+const dish = (name, definition = 'x'.repeat(100)) => ({ name, definition, price: null, allergens: [], diet: [] });
+const sections = [
+  { name: 'Antipasti', translation: 'Starters', description: 'Small plates', items: [dish('Arancini'), dish('Caponata'), dish('Panelle')] },
+  { name: 'Dolci', translation: 'Desserts', description: null, items: [dish('Cannoli')] }
+];
+
+test('batchSections splits long sections, asking for each heading only once', () => {
+  // About 60 tokens a dish against a budget of 125 a batch
+  const batches = batchSections(sections, 250);
+
+  assert.deepEqual(batches.map(parts => parts.map(({ sectionIndex, start, heading, items }) => [sectionIndex, start, heading, items.length])), [
+    [[0, 0, true, 1]],
+    [[0, 1, false, 2]],
+    [[1, 0, true, 1]]
+  ]);
+  assert.deepEqual(batchSections(sections, 4096).map(parts => parts.length), [2]);
+});
+
+test('translateSections puts every batch back in place and adds up its usage', async () => {
+  const provider = createMockProvider();
+  const { sections: translated, usage } = await translateSections(sections, { from: 'en', to: 'de', provider, maxTokens: 250 });
+
+  assert.equal(provider.calls.length, 3);
+  assert.equal(usage.modelCalls, 3);
+  assert.deepEqual(translated.map(section => section.translation), ['[de] Starters', '[de] Desserts']);
+  assert.deepEqual(translated.flatMap(section => section.items.map(item => item.name)), ['Arancini', 'Caponata', 'Panelle', 'Cannoli']);
+  assert.ok(translated.every(section => section.items.every(item => item.definition.startsWith('[de] '))));
+});
+
+test('translateSections fails with the usage spent when a reply does not fit its batch', async () => {
+  const provider = createMockProvider();
+  const createMessage = provider.createMessage;
+  provider.createMessage = async request => ({ ...(await createMessage(request)), content: [{ type: 'text', text: '[]' }] });
+
+  await assert.rejects(translateSections(sections, { from: 'en', to: 'de', provider }), error => {
+    assert.equal(error.status, 502);
+    assert.equal(error.usage.modelCalls, 1);
+    return true;
+  });
+});
+
+test('the QR code and page handlers only take languages the menu was published in', async t => {
+  t.mock.method(console, 'error', () => {});
+  const menus = createMemoryMenuStore();
+  const input = validatePublishRequest({ title: 'Trattoria da Nino', language: 'en', languages: ['it'], sections });
+  const { menu } = await publishMenu(menus, input, { provider: createMockProvider() });
+  const handleQr = createPublishedQrHandler({ menus, publicUrl: 'https://menus.example.com' });
+  const qr = async query => {
+    const res = fakeResponse();
+    await handleQr({ params: { id: menu.id, format: 'svg' }, query, headers: {} }, res);
+    return res;
+  };
+
+  assert.equal((await qr({ lang: 'it' })).statusCode, 200);
+  assert.match((await qr({ lang: 'it' })).headers['Content-Type'], /svg/);
+  for (const lang of ['constructor', '__proto__', 'toString', 'it"><script>', '']) {
+    const res = await qr({ lang });
+    assert.equal(res.statusCode, 404, lang);
+    assert.match(res.body.error, /not published in/);
+  }
+
+  const handlePage = createPublishedPageHandler({ menus });
+  const page = fakeResponse();
+  await handlePage({ params: { id: menu.id }, query: { lang: '__proto__' }, headers: { 'accept-language': 'it-IT,it;q=0.9' } }, page);
+  assert.equal(page.statusCode, 200);
+  assert.match(page.body, /<html lang="it">/);
+});